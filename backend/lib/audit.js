@@ -0,0 +1,33 @@
+// Admin actions taken against vote fraud. None of them deletes anything:
+// voided votes and ballots are kept but no longer count, and suspensions can
+// be lifted, so every action can be reversed. Each one needs a reason and is
+// written to the audit log:
+//   vote-voided          one approval vote no longer counts
+//   vote-restored        a voided vote counts again
+//   ballot-voided        one ranked ballot no longer counts
+//   ballot-restored      a voided ballot counts again
+//   user-votes-voided    none of a user's votes and ballots count any more
+//   user-votes-restored  all of a user's voided votes and ballots count again
+//   user-suspended       a user was suspended, or their suspension changed
+//   user-reinstated      a user's suspension was lifted
+const AUDIT_ACTIONS = [
+  'vote-voided',
+  'vote-restored',
+  'ballot-voided',
+  'ballot-restored',
+  'user-votes-voided',
+  'user-votes-restored',
+  'user-suspended',
+  'user-reinstated'
+];
+
+// What a user can be suspended from:
+//   voting      casting, changing or withdrawing votes and ballots, and
+//               reporting entries
+//   submitting  creating, editing and submitting mascots
+const SUSPENSION_SCOPES = ['voting', 'submitting'];
+
+module.exports = {
+  AUDIT_ACTIONS,
+  SUSPENSION_SCOPES
+};
@@ -0,0 +1,146 @@
+const { getDefaultSort } = require('./ordering');
+
+// Contest lifecycle. A contest moves through these phases in order; each phase
+// after draft starts at a timestamp stored on the contest record.
+const PHASES = ['draft', 'submissions', 'voting', 'closed'];
+
+const PHASE_START_FIELDS = {
+  submissions: 'submissionsOpenAt',
+  voting: 'votingOpenAt',
+  closed: 'closedAt'
+};
+
+// How votes are cast:
+//   approval  one vote per mascot (POST /api/mascots/:id/vote)
+//   ranked    one ranked ballot per voter, decided by instant runoff
+const VOTING_MODES = ['approval', 'ranked'];
+
+// Settings for contest records that predate them. A null voteBudget lets
+// every voter vote for (or rank) as many mascots as they like; blindVoting
+// hides vote counts and creators from non-admins until the contest closes.
+const CONTEST_DEFAULTS = {
+  round: 1,
+  finalistCount: 3,
+  tieBreak: 'include-all',
+  finalistIds: [],
+  voteBudget: null,
+  votingMode: 'approval',
+  resultsVisibility: 'live',
+  resultsTieBreak: 'earliest-submission',
+  resultsOrder: [],
+  blindVoting: false
+};
+
+const withContestDefaults = (contest) => ({ ...CONTEST_DEFAULTS, ...contest });
+
+const getContestPhase = (contest, now = new Date()) => {
+  for (let i = PHASES.length - 1; i > 0; i -= 1) {
+    const startsAt = contest[PHASE_START_FIELDS[PHASES[i]]];
+    if (startsAt && new Date(startsAt) <= now) {
+      return PHASES[i];
+    }
+  }
+  return 'draft';
+};
+
+// Returns an error message if the schedule is out of order, otherwise null
+const validateSchedule = (schedule) => {
+  const starts = PHASES.slice(1)
+    .map(phase => ({ phase, at: schedule[PHASE_START_FIELDS[phase]] }))
+    .filter(start => start.at);
+
+  for (let i = 1; i < starts.length; i += 1) {
+    if (new Date(starts[i].at) < new Date(starts[i - 1].at)) {
+      return `${starts[i].phase} cannot start before ${starts[i - 1].phase}`;
+    }
+  }
+
+  const skipped = PHASES.slice(1).find((phase, index) => {
+    const later = PHASES.slice(index + 2);
+    return !schedule[PHASE_START_FIELDS[phase]] && later.some(p => schedule[PHASE_START_FIELDS[p]]);
+  });
+  if (skipped) {
+    return `A start time for ${skipped} is required before later phases can be scheduled`;
+  }
+
+  return null;
+};
+
+const isBlindVoting = (contest, now = new Date()) => {
+  return !!contest.blindVoting && getContestPhase(contest, now) !== 'closed';
+};
+
+// Schedule that puts the contest in `phase` right now, keeping earlier start
+// times that already passed and clearing the later ones
+const scheduleForPhase = (contest, phase, now = new Date()) => {
+  const target = PHASES.indexOf(phase);
+  const schedule = {};
+
+  PHASES.forEach((p, position) => {
+    if (position === 0) {
+      return;
+    }
+
+    const field = PHASE_START_FIELDS[p];
+    const current = contest[field];
+    const alreadyStarted = current && new Date(current) <= now;
+
+    if (position > target) {
+      schedule[field] = null;
+    } else if (position < target && alreadyStarted) {
+      schedule[field] = current;
+    } else {
+      schedule[field] = now.toISOString();
+    }
+  });
+
+  return schedule;
+};
+
+// Public view of a contest, including when the next phase begins
+const describeContest = (record, now = new Date()) => {
+  const contest = withContestDefaults(record);
+  const phase = getContestPhase(contest, now);
+  const nextPhase = PHASES[PHASES.indexOf(phase) + 1] || null;
+  const nextPhaseAt = nextPhase ? contest[PHASE_START_FIELDS[nextPhase]] || null : null;
+
+  return {
+    id: contest.id,
+    name: contest.name,
+    phase,
+    submissionsOpenAt: contest.submissionsOpenAt || null,
+    votingOpenAt: contest.votingOpenAt || null,
+    closedAt: contest.closedAt || null,
+    round: contest.round,
+    finalRound: contest.round > 1,
+    finalistCount: contest.finalistCount,
+    tieBreak: contest.tieBreak,
+    finalistIds: contest.finalistIds,
+    voteBudget: contest.voteBudget,
+    votingMode: contest.votingMode,
+    resultsVisibility: contest.resultsVisibility,
+    resultsTieBreak: contest.resultsTieBreak,
+    blindVoting: contest.blindVoting,
+    defaultSort: getDefaultSort(phase),
+    nextPhase,
+    nextPhaseAt,
+    submissionsOpen: phase === 'submissions',
+    votingOpen: phase === 'voting',
+    archived: phase === 'closed',
+    createdAt: contest.createdAt,
+    serverTime: now.toISOString()
+  };
+};
+
+module.exports = {
+  PHASES,
+  VOTING_MODES,
+  CONTEST_DEFAULTS,
+  withContestDefaults,
+  PHASE_START_FIELDS,
+  getContestPhase,
+  isBlindVoting,
+  validateSchedule,
+  scheduleForPhase,
+  describeContest
+};
@@ -0,0 +1,77 @@
+const sharp = require('sharp');
+
+// Near-duplicate image detection. Each image gets a 64-bit difference hash
+// (dHash): the image is shrunk to 9x8 greyscale pixels and every bit records
+// whether a pixel is brighter than its right-hand neighbour. Resizing,
+// re-encoding and small edits barely change the hash, so the number of
+// differing bits (the Hamming distance) tells how alike two images look.
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// Images at most this many bits apart are flagged as possible duplicates
+const DUPLICATE_MAX_DISTANCE = 10;
+
+// Where a moderator's review of a flagged pair stands:
+//   pending    not reviewed yet
+//   dismissed  the images only look alike
+//   confirmed  the same design was submitted twice
+const DUPLICATE_FLAG_STATUSES = ['pending', 'dismissed', 'confirmed'];
+
+// Returns the hash as 16 hex digits. Animations are hashed by their first frame.
+const computeImageHash = async (filePath) => {
+  const pixels = await sharp(filePath)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    // A plain averaging kernel; sharper ones make the hash sensitive to JPEG noise
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill', kernel: 'linear' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    for (let x = 0; x < HASH_WIDTH - 1; x += 1) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(HASH_BITS / 4, '0');
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+// How alike two hashes are, from 0 to 1
+const hashSimilarity = (distance) => Math.round((1 - distance / HASH_BITS) * 100) / 100;
+
+// Lists the mascots whose image looks like `mascot`'s, closest first, as
+// { mascot, distance }. Mascots by the same user are not compared, since
+// reusing your own design is not a duplicate of someone else's.
+const findSimilarImages = (mascot, others, maxDistance = DUPLICATE_MAX_DISTANCE) => {
+  if (!mascot.imageHash) {
+    return [];
+  }
+
+  return others
+    .filter(other => other.id !== mascot.id && other.userId !== mascot.userId && other.imageHash)
+    .map(other => ({ mascot: other, distance: hammingDistance(mascot.imageHash, other.imageHash) }))
+    .filter(match => match.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+module.exports = {
+  DUPLICATE_MAX_DISTANCE,
+  DUPLICATE_FLAG_STATUSES,
+  computeImageHash,
+  hashSimilarity,
+  findSimilarImages
+};
@@ -0,0 +1,264 @@
+// Vote-fraud analysis: looks through the recorded IPs and timestamps for
+// patterns that suggest one person voting through several accounts. Everyone
+// in an office may share an IP, so no pattern proves anything on its own;
+// findings get more severe as the signs add up, and the evidence records
+// behind each one are included for an admin to judge.
+
+// How serious a finding is, least first
+const FRAUD_SEVERITIES = ['low', 'medium', 'high'];
+
+// What the analysis looks for:
+//   shared-registration-ip   several accounts registered from one IP; high
+//                            when accountsPerIP of them back the same mascot
+//   vote-burst               burstVotes or more votes for one mascot within
+//                            burstWindowMinutes; high when they come from
+//                            only a few IPs
+//   single-purpose-accounts  accounts whose only votes back one mascot, cast
+//                            within newAccountHours of registering and with no
+//                            mascot of their own; high when a mascot has
+//                            accountsPerIP of them
+//   creator-ip-votes         votes cast from the IP a mascot's creator
+//                            registered or submitted from; high when
+//                            accountsPerIP accounts did so
+const FRAUD_FINDING_TYPES = ['shared-registration-ip', 'vote-burst', 'single-purpose-accounts', 'creator-ip-votes'];
+
+const DEFAULT_FRAUD_THRESHOLDS = {
+  accountsPerIP: 3,
+  burstVotes: 5,
+  burstWindowMinutes: 10,
+  newAccountHours: 24
+};
+
+const severityRank = (severity) => FRAUD_SEVERITIES.indexOf(severity);
+
+const groupBy = (items, key) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const value = key(item);
+    if (value) {
+      groups.set(value, [...(groups.get(value) || []), item]);
+    }
+  });
+  return groups;
+};
+
+const unique = (items) => [...new Set(items)];
+
+// Approval votes and ranked ballots as one list of support for a mascot. A
+// ballot supports every mascot it ranks.
+const toSupport = (votes, ballots) => [
+  ...votes.map(vote => ({
+    userId: vote.userId,
+    mascotId: vote.mascotId,
+    ip: vote.voteIP,
+    at: vote.createdAt,
+    record: vote,
+    kind: 'votes'
+  })),
+  ...ballots.flatMap(ballot => ballot.ranking.map(mascotId => ({
+    userId: ballot.userId,
+    mascotId,
+    ip: ballot.ballotIP,
+    at: ballot.updatedAt || ballot.createdAt,
+    record: ballot,
+    kind: 'ballots'
+  })))
+];
+
+// The records behind a finding, each listed once
+const collectEvidence = ({ users = [], mascots = [], support = [] }) => {
+  const records = (kind) => unique(support.filter(entry => entry.kind === kind).map(entry => entry.record));
+  return {
+    users: unique(users),
+    mascots: unique(mascots),
+    votes: records('votes'),
+    ballots: records('ballots')
+  };
+};
+
+const mascotName = (mascot) => (mascot ? `"${mascot.name}"` : 'a deleted mascot');
+
+const findSharedRegistrationIPs = ({ users, support, mascotsById }, thresholds) => {
+  const findings = [];
+
+  groupBy(users, user => user.registrationIP).forEach((accounts, ip) => {
+    if (accounts.length < thresholds.accountsPerIP) {
+      return;
+    }
+
+    // The mascot most of these accounts back, if they back one together
+    const userIds = accounts.map(user => user.id);
+    const backing = support.filter(entry => userIds.includes(entry.userId));
+    const [mascotId, backers] = [...groupBy(backing, entry => entry.mascotId)]
+      .map(([id, entries]) => [id, unique(entries.map(entry => entry.userId))])
+      .sort((a, b) => b[1].length - a[1].length)[0] || [];
+    const coordinated = !!backers && backers.length >= thresholds.accountsPerIP;
+
+    let severity = accounts.length >= thresholds.accountsPerIP * 2 ? 'medium' : 'low';
+    let summary = `${accounts.length} accounts registered from ${ip}`;
+    if (coordinated) {
+      severity = 'high';
+      summary += `, ${backers.length} of which voted for ${mascotName(mascotsById.get(mascotId))}`;
+    }
+
+    findings.push({
+      type: 'shared-registration-ip',
+      severity,
+      summary,
+      ip,
+      mascotId: coordinated ? mascotId : null,
+      userIds,
+      evidence: collectEvidence({
+        users: accounts,
+        mascots: coordinated && mascotsById.has(mascotId) ? [mascotsById.get(mascotId)] : [],
+        support: coordinated ? backing.filter(entry => entry.mascotId === mascotId) : []
+      })
+    });
+  });
+
+  return findings;
+};
+
+const findVoteBursts = ({ support, mascotsById, usersById }, thresholds) => {
+  const findings = [];
+  const windowMs = thresholds.burstWindowMinutes * 60 * 1000;
+
+  groupBy(support, entry => entry.mascotId).forEach((entries, mascotId) => {
+    const sorted = [...entries].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    // The busiest window, found by sliding its start along the votes
+    let busiest = [];
+    let start = 0;
+    sorted.forEach((entry, end) => {
+      while (new Date(entry.at) - new Date(sorted[start].at) > windowMs) {
+        start += 1;
+      }
+      if (end - start + 1 > busiest.length) {
+        busiest = sorted.slice(start, end + 1);
+      }
+    });
+
+    if (busiest.length < thresholds.burstVotes) {
+      return;
+    }
+
+    const ips = unique(busiest.map(entry => entry.ip).filter(Boolean));
+    const mascot = mascotsById.get(mascotId);
+    findings.push({
+      type: 'vote-burst',
+      severity: ips.length <= busiest.length / 2 ? 'high' : 'medium',
+      summary: `${busiest.length} votes for ${mascotName(mascot)} within ${thresholds.burstWindowMinutes} minutes, from ${ips.length} ${ips.length === 1 ? 'IP' : 'IPs'}`,
+      mascotId,
+      from: busiest[0].at,
+      to: busiest[busiest.length - 1].at,
+      userIds: unique(busiest.map(entry => entry.userId)),
+      evidence: collectEvidence({
+        users: unique(busiest.map(entry => usersById.get(entry.userId)).filter(Boolean)),
+        mascots: mascot ? [mascot] : [],
+        support: busiest
+      })
+    });
+  });
+
+  return findings;
+};
+
+const findSinglePurposeAccounts = ({ users, mascots, support, mascotsById }, thresholds) => {
+  const creatorIds = new Set(mascots.map(mascot => mascot.userId));
+  const supportByUser = groupBy(support, entry => entry.userId);
+  const newAccountMs = thresholds.newAccountHours * 60 * 60 * 1000;
+
+  const accounts = users.filter(user => {
+    const entries = supportByUser.get(user.id) || [];
+    if (entries.length === 0 || creatorIds.has(user.id) || unique(entries.map(entry => entry.mascotId)).length > 1) {
+      return false;
+    }
+    const firstVoteAt = Math.min(...entries.map(entry => new Date(entry.at).getTime()));
+    return firstVoteAt - new Date(user.createdAt).getTime() <= newAccountMs;
+  });
+
+  const findings = [];
+  groupBy(accounts, user => supportByUser.get(user.id)[0].mascotId).forEach((backers, mascotId) => {
+    const mascot = mascotsById.get(mascotId);
+    let severity = backers.length >= 2 ? 'medium' : 'low';
+    if (backers.length >= thresholds.accountsPerIP) {
+      severity = 'high';
+    }
+
+    findings.push({
+      type: 'single-purpose-accounts',
+      severity,
+      summary: `${backers.length} new ${backers.length === 1 ? 'account' : 'accounts'} that only voted for ${mascotName(mascot)}`,
+      mascotId,
+      userIds: backers.map(user => user.id),
+      evidence: collectEvidence({
+        users: backers,
+        mascots: mascot ? [mascot] : [],
+        support: backers.flatMap(user => supportByUser.get(user.id))
+      })
+    });
+  });
+
+  return findings;
+};
+
+const findCreatorIPVotes = ({ support, mascotsById, usersById }, thresholds) => {
+  const matches = support.filter(entry => {
+    const mascot = mascotsById.get(entry.mascotId);
+    if (!mascot || !entry.ip || entry.userId === mascot.userId) {
+      return false;
+    }
+    const creator = usersById.get(mascot.userId);
+    return entry.ip === mascot.submissionIP || (!!creator && entry.ip === creator.registrationIP);
+  });
+
+  const findings = [];
+  groupBy(matches, entry => entry.mascotId).forEach((entries, mascotId) => {
+    const mascot = mascotsById.get(mascotId);
+    const creator = usersById.get(mascot.userId);
+    const voterIds = unique(entries.map(entry => entry.userId));
+
+    findings.push({
+      type: 'creator-ip-votes',
+      severity: voterIds.length >= thresholds.accountsPerIP ? 'high' : 'medium',
+      summary: `${voterIds.length} ${voterIds.length === 1 ? 'account' : 'accounts'} voted for ${mascotName(mascot)} from its creator's IP`,
+      mascotId,
+      userIds: voterIds,
+      evidence: collectEvidence({
+        users: [creator, ...voterIds.map(id => usersById.get(id))].filter(Boolean),
+        mascots: [mascot],
+        support: entries
+      })
+    });
+  });
+
+  return findings;
+};
+
+// Runs every check over the given records and returns the findings, most
+// severe first. Each finding has a `type`, `severity`, readable `summary`, the
+// `userIds` involved and the `evidence` records (users, mascots, votes and
+// ballots) it is based on. Pass users without their password hashes.
+const analyzeVoteFraud = ({ users, mascots, votes, ballots = [] }, thresholds = DEFAULT_FRAUD_THRESHOLDS) => {
+  const data = {
+    users,
+    mascots,
+    support: toSupport(votes, ballots),
+    usersById: new Map(users.map(user => [user.id, user])),
+    mascotsById: new Map(mascots.map(mascot => [mascot.id, mascot]))
+  };
+
+  return [
+    ...findSharedRegistrationIPs(data, thresholds),
+    ...findVoteBursts(data, thresholds),
+    ...findSinglePurposeAccounts(data, thresholds),
+    ...findCreatorIPVotes(data, thresholds)
+  ].sort((a, b) => (severityRank(b.severity) - severityRank(a.severity)) || (b.userIds.length - a.userIds.length));
+};
+
+module.exports = {
+  FRAUD_SEVERITIES,
+  FRAUD_FINDING_TYPES,
+  DEFAULT_FRAUD_THRESHOLDS,
+  analyzeVoteFraud
+};
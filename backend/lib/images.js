@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Sizes every uploaded image is served in, as the longest side in pixels.
+// Smaller images are never scaled up.
+//   thumbnail  gallery cards, leaderboard and ballot entries
+//   medium     the upload form preview
+//   full       the zoomed-in view
+const RENDITIONS = [
+  { name: 'thumbnail', size: 320 },
+  { name: 'medium', size: 800 },
+  { name: 'full', size: 1600 }
+];
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+
+// What each kind of mascot image may be, following the submission rules:
+//   still      the primary image and alternate views, a JPEG or PNG
+//   animation  an optional GIF showing the mascot move, so it needs more than one frame
+const IMAGE_KINDS = {
+  still: { formats: ['jpeg', 'png'], description: 'a JPEG or PNG image' },
+  animation: { formats: ['gif'], description: 'an animated GIF', animated: true }
+};
+
+const MAX_ALTERNATE_IMAGES = 3;
+
+// Images a mascot can have: the upload field each comes in, its kind and the
+// mascot property its image set is stored in. Alternate views are a list.
+//   image            the primary image, shown wherever the mascot is listed
+//   animation        the animated GIF
+//   alternateImages  other views of the mascot
+const MASCOT_IMAGES = [
+  { field: 'image', kind: 'still', property: 'imageUrl', maxCount: 1 },
+  { field: 'animation', kind: 'animation', property: 'animationUrl', maxCount: 1 },
+  { field: 'alternateImages', kind: 'still', property: 'alternateImageUrls', maxCount: MAX_ALTERNATE_IMAGES, multiple: true }
+];
+
+// Limits on what an upload may contain. Both maximums can be raised with the
+// MAX_IMAGE_DIMENSION and MAX_GIF_FRAMES environment variables.
+const DEFAULT_IMAGE_LIMITS = {
+  minDimension: 64,
+  maxDimension: 8000,
+  maxFrames: 100
+};
+
+// Thrown when an upload is not an image we accept. `code` tells clients what
+// went wrong and `details` carries the limit that was broken, if any:
+//   UNSUPPORTED_IMAGE_TYPE  not a format its kind allows, whatever its name says
+//   CORRUPT_IMAGE           looks like an image but cannot be decoded
+//   IMAGE_TOO_SMALL         narrower or shorter than minDimension
+//   IMAGE_TOO_LARGE         wider or taller than maxDimension
+//   TOO_MANY_FRAMES         an animation with more than maxFrames frames
+//   NOT_ANIMATED            a single frame where an animation is expected
+class ImageValidationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Leading bytes of each accepted format. WebP is a RIFF container, so its
+// signature sits after the 4-byte file size.
+const SIGNATURES = [
+  { format: 'jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+  { format: 'png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { format: 'gif', offset: 0, bytes: [...Buffer.from('GIF87a')] },
+  { format: 'gif', offset: 0, bytes: [...Buffer.from('GIF89a')] },
+  { format: 'webp', offset: 8, bytes: [...Buffer.from('WEBP')], riff: true }
+];
+
+const detectFormat = (header) => {
+  const match = SIGNATURES.find(({ offset, bytes, riff }) => {
+    if (riff && header.toString('latin1', 0, 4) !== 'RIFF') {
+      return false;
+    }
+    return bytes.every((byte, index) => header[offset + index] === byte);
+  });
+  return match ? match.format : null;
+};
+
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    await handle.read(header, 0, header.length, 0);
+    return header;
+  } finally {
+    await handle.close();
+  }
+};
+
+// Checks that a file is an image of the given kind, by its content rather than
+// its name or the type the browser reported, and returns its format. The header
+// is decoded here; the pixels are decoded when the renditions are written.
+const validateImage = async (filePath, kind, limits = DEFAULT_IMAGE_LIMITS) => {
+  const signatureFormat = detectFormat(await readHeader(filePath));
+  if (!kind.formats.includes(signatureFormat)) {
+    throw new ImageValidationError('UNSUPPORTED_IMAGE_TYPE', `Only ${kind.description} is allowed here`,
+      { allowedFormats: kind.formats });
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (error) {
+    throw new ImageValidationError('CORRUPT_IMAGE', 'The image could not be read');
+  }
+  if (metadata.format !== signatureFormat || !metadata.width || !metadata.height) {
+    throw new ImageValidationError('CORRUPT_IMAGE', 'The image could not be read');
+  }
+
+  // For animations, pageHeight is the height of a single frame
+  const height = metadata.pageHeight || metadata.height;
+  const { width } = metadata;
+  if (width < limits.minDimension || height < limits.minDimension) {
+    throw new ImageValidationError('IMAGE_TOO_SMALL',
+      `Images must be at least ${limits.minDimension}x${limits.minDimension} pixels`,
+      { minDimension: limits.minDimension, width, height });
+  }
+  if (width > limits.maxDimension || height > limits.maxDimension) {
+    throw new ImageValidationError('IMAGE_TOO_LARGE',
+      `Images can be at most ${limits.maxDimension}x${limits.maxDimension} pixels`,
+      { maxDimension: limits.maxDimension, width, height });
+  }
+
+  const frames = metadata.pages || 1;
+  if (frames > limits.maxFrames) {
+    throw new ImageValidationError('TOO_MANY_FRAMES',
+      `Animations can have at most ${limits.maxFrames} frames`,
+      { maxFrames: limits.maxFrames, frames });
+  }
+  if (kind.animated && frames < 2) {
+    throw new ImageValidationError('NOT_ANIMATED', 'The animation must have more than one frame');
+  }
+
+  return signatureFormat;
+};
+
+// Encodes one rendition. sharp drops EXIF (GPS included), XMP and other
+// metadata unless asked to keep it, so nothing but the pixels is written.
+const writeRendition = (source, { size, format, outputPath }) => {
+  return source.clone()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(format)
+    .toFile(outputPath);
+};
+
+// Writes every rendition of an image, in its own format and as WebP, and
+// returns their filenames as an image set:
+//   { thumbnail, medium, full, webp: { thumbnail, medium, full } }
+// All frames of animated GIFs are kept, and the WebP versions stay animated.
+// Run validateImage first. If decoding fails, the files written so far are
+// removed and a CORRUPT_IMAGE error is thrown.
+const createRenditions = async (sourcePath, outputDir) => {
+  const metadata = await sharp(sourcePath).metadata();
+
+  const animated = (metadata.pages || 1) > 1;
+  // Photos are turned the way their EXIF orientation says before it is dropped
+  const source = animated ? sharp(sourcePath, { animated: true }) : sharp(sourcePath).rotate();
+  const baseName = path.parse(sourcePath).name;
+
+  const imageSet = {};
+  const webp = {};
+  const written = [];
+  const write = async (size, format, filename) => {
+    const outputPath = path.join(outputDir, filename);
+    written.push(outputPath);
+    await writeRendition(source, { size, format, outputPath });
+  };
+
+  try {
+    for (const { name, size } of RENDITIONS) {
+      imageSet[name] = `${baseName}-${name}.${EXTENSIONS[metadata.format]}`;
+      webp[name] = `${baseName}-${name}.webp`;
+
+      await write(size, metadata.format, imageSet[name]);
+      if (metadata.format !== 'webp') {
+        await write(size, 'webp', webp[name]);
+      }
+    }
+  } catch (error) {
+    written.forEach(outputPath => fs.rmSync(outputPath, { force: true }));
+    // System errors (a full disk and the like) carry a code; decoding errors don't
+    throw error.code ? error : new ImageValidationError('CORRUPT_IMAGE', 'The image could not be read');
+  }
+
+  return { ...imageSet, webp };
+};
+
+// Applies `fn` to every file of an image set. Mascots uploaded before images
+// were processed store a single path, which then stands in for every size.
+const mapImageSet = (imageSet, fn) => {
+  if (!imageSet) {
+    return null;
+  }
+
+  if (typeof imageSet === 'string') {
+    const file = fn(imageSet);
+    return { thumbnail: file, medium: file, full: file, webp: null };
+  }
+
+  const mapped = {};
+  const webp = {};
+  RENDITIONS.forEach(({ name }) => {
+    mapped[name] = fn(imageSet[name]);
+    webp[name] = fn(imageSet.webp[name]);
+  });
+  return { ...mapped, webp };
+};
+
+// Lists the image sets of a mascot, primary image first. Mascots from before
+// animations and alternate views lack those properties.
+const mascotImageSets = (mascot) => {
+  return MASCOT_IMAGES
+    .flatMap(({ property, multiple }) => (multiple ? mascot[property] || [] : [mascot[property]]))
+    .filter(Boolean);
+};
+
+// Applies `fn` to every file of a mascot's images, returning them by property
+const mapMascotImages = (mascot, fn) => {
+  const mapped = {};
+  MASCOT_IMAGES.forEach(({ property, multiple }) => {
+    mapped[property] = multiple
+      ? (mascot[property] || []).map(imageSet => mapImageSet(imageSet, fn))
+      : mapImageSet(mascot[property], fn);
+  });
+  return mapped;
+};
+
+// Lists every file of an image set
+const imageSetFiles = (imageSet) => {
+  if (!imageSet) {
+    return [];
+  }
+
+  if (typeof imageSet === 'string') {
+    return [imageSet];
+  }
+
+  const files = RENDITIONS.map(({ name }) => imageSet[name]);
+  RENDITIONS.forEach(({ name }) => {
+    if (!files.includes(imageSet.webp[name])) {
+      files.push(imageSet.webp[name]);
+    }
+  });
+  return files;
+};
+
+module.exports = {
+  RENDITIONS,
+  IMAGE_KINDS,
+  MAX_ALTERNATE_IMAGES,
+  MASCOT_IMAGES,
+  DEFAULT_IMAGE_LIMITS,
+  ImageValidationError,
+  validateImage,
+  createRenditions,
+  mapImageSet,
+  mapMascotImages,
+  mascotImageSets,
+  imageSetFiles
+};
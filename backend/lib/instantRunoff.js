@@ -0,0 +1,74 @@
+// Instant-runoff tally for ranked-choice contests. Each ballot counts for its
+// highest-ranked mascot that is still in the running. The mascot with the
+// fewest votes is eliminated and its ballots move to their next choice, until
+// one mascot holds a majority of the ballots that are not yet exhausted.
+//
+// Ties for last place are broken by looking back at earlier rounds, latest
+// first, and eliminating whoever had fewer votes there. Mascots that stay tied
+// through every round are eliminated together, unless that would eliminate
+// everyone, in which case the contest ends in a tie.
+
+const countRound = (ballots, active) => {
+  const counts = {};
+  active.forEach(id => { counts[id] = 0; });
+
+  let exhausted = 0;
+  ballots.forEach(ballot => {
+    const choice = ballot.ranking.find(id => active.has(id));
+    if (choice) {
+      counts[choice] += 1;
+    } else {
+      exhausted += 1;
+    }
+  });
+
+  return { counts, exhausted };
+};
+
+const pickEliminated = (counts, rounds) => {
+  const lowestCount = Math.min(...Object.values(counts));
+  let lowest = Object.keys(counts).filter(id => counts[id] === lowestCount);
+
+  for (let i = rounds.length - 1; i >= 0 && lowest.length > 1; i -= 1) {
+    const earlier = rounds[i].counts;
+    const fewest = Math.min(...lowest.map(id => earlier[id]));
+    lowest = lowest.filter(id => earlier[id] === fewest);
+  }
+
+  return lowest;
+};
+
+// Returns { winner, tied, rounds }. Every round lists the vote counts of the
+// mascots still running, the exhausted ballots and the mascots eliminated
+// after it. `winner` is null when there are no candidates or the final
+// candidates are tied, in which case `tied` lists them.
+const tallyInstantRunoff = (ballots, candidateIds) => {
+  const active = new Set(candidateIds);
+  const rounds = [];
+
+  while (active.size > 0) {
+    const { counts, exhausted } = countRound(ballots, active);
+    const continuing = ballots.length - exhausted;
+    const round = { round: rounds.length + 1, counts, exhausted, eliminated: [] };
+
+    const leader = Object.keys(counts).find(id => counts[id] * 2 > continuing);
+    if (leader || active.size === 1) {
+      rounds.push(round);
+      return { winner: leader || [...active][0], tied: [], rounds };
+    }
+
+    const eliminated = pickEliminated(counts, rounds);
+    if (eliminated.length === active.size) {
+      rounds.push(round);
+      return { winner: null, tied: eliminated, rounds };
+    }
+
+    round.eliminated = eliminated;
+    rounds.push(round);
+    eliminated.forEach(id => active.delete(id));
+  }
+
+  return { winner: null, tied: [], rounds };
+};
+
+module.exports = { tallyInstantRunoff };
@@ -0,0 +1,38 @@
+// Review of submitted mascots. The T&C forbid offensive, political, religious
+// and violent content, so a submission only enters the gallery once a
+// moderator approves it. Drafts are not reviewed.
+//   pending   waiting for a moderator: newly submitted, or edited by its owner
+//             since the last review
+//   approved  in the gallery and open to votes
+//   rejected  kept out of the gallery; its owner sees the reason and can edit
+//             it, which sends it back for review
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// What a moderator can decide
+const MODERATION_DECISIONS = ['approved', 'rejected'];
+
+// Why users report an entry, following the T&C:
+//   copied     copies an existing character or someone else's design
+//   offensive  offensive content
+//   political  political content
+//   religious  religious content
+//   violent    violent content
+//   other      anything else, explained in the details
+const REPORT_REASONS = ['copied', 'offensive', 'political', 'religious', 'violent', 'other'];
+
+// Where a report stands:
+//   open      not acted on yet
+//   resolved  a moderator has since approved or rejected the mascot
+const REPORT_STATUSES = ['open', 'resolved'];
+
+// Open reports that send an approved entry back to review. Can be changed with
+// the REPORT_HIDE_THRESHOLD environment variable.
+const DEFAULT_REPORT_HIDE_THRESHOLD = 3;
+
+module.exports = {
+  MODERATION_STATUSES,
+  MODERATION_DECISIONS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  DEFAULT_REPORT_HIDE_THRESHOLD
+};
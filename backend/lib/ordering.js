@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Orders for the mascot gallery (GET /api/mascots?sort=):
+//   shuffle  a random order that stays the same for each viewer
+//   newest   latest submissions first
+//   oldest   earliest submissions first
+//   votes    most votes first, earliest submission first among equals
+const MASCOT_SORTS = ['shuffle', 'newest', 'oldest', 'votes'];
+
+// Shuffling during voting keeps early entries from collecting votes just by
+// sitting at the top of the gallery
+const getDefaultSort = (phase) => (phase === 'voting' ? 'shuffle' : 'oldest');
+
+const bySubmissionTime = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+// Each mascot's place depends only on the seed and its own id, so a viewer
+// keeps the same order across reloads and new entries don't reshuffle the rest
+const shuffleKey = (seed, mascot) => {
+  return crypto.createHash('sha256').update(`${seed}:${mascot.id}`).digest('hex');
+};
+
+const sortMascots = (mascots, sort, seed) => {
+  const sorted = [...mascots];
+
+  switch (sort) {
+    case 'shuffle': {
+      const keys = new Map(sorted.map(mascot => [mascot.id, shuffleKey(seed, mascot)]));
+      return sorted.sort((a, b) => keys.get(a.id).localeCompare(keys.get(b.id)));
+    }
+    case 'newest':
+      return sorted.sort((a, b) => bySubmissionTime(b, a));
+    case 'votes':
+      return sorted.sort((a, b) => ((b.votes || 0) - (a.votes || 0)) || bySubmissionTime(a, b));
+    default:
+      return sorted.sort(bySubmissionTime);
+  }
+};
+
+module.exports = {
+  MASCOT_SORTS,
+  getDefaultSort,
+  sortMascots
+};
@@ -0,0 +1,182 @@
+// Rate limiting for the routes scripts can hammer. Requests are counted in
+// fixed windows, per client IP and per account, and each policy has its own
+// limits. Everyone in an office may share one IP, so the per-IP limits are
+// generous and the per-account ones do most of the work.
+//   login     password attempts; the account is the email being tried from
+//             the client's IP. After lockoutAfter failures in a row it is
+//             locked for lockoutMinutes, doubling with every further failure
+//             up to maxLockoutMinutes. The email is also locked from every IP
+//             after emailLockoutAfter failures from any of them, which stops
+//             guessing spread over many IPs; that threshold is higher, so
+//             locking someone else out takes a lot of attempts
+//   register  new accounts, per IP only
+//   vote      casting and withdrawing votes and ballots
+//   upload    creating and editing mascots
+const DEFAULT_RATE_LIMIT_POLICIES = {
+  login: { windowMinutes: 15, maxPerIP: 100, maxPerAccount: 10, lockoutAfter: 5, emailLockoutAfter: 20, lockoutMinutes: 1, maxLockoutMinutes: 60 },
+  register: { windowMinutes: 60, maxPerIP: 50 },
+  vote: { windowMinutes: 1, maxPerIP: 300, maxPerAccount: 30 },
+  upload: { windowMinutes: 60, maxPerIP: 100, maxPerAccount: 20 }
+};
+
+// Failed logins are counted in a fixed window of this length, starting at the
+// first failure; later failures do not extend it
+const LOGIN_FAILURE_MEMORY_HOURS = 24;
+
+// Merges overrides into the default policies, e.g. from the RATE_LIMITS
+// environment variable. A policy set to false is turned off.
+const resolveRateLimitPolicies = (overrides = {}) => {
+  const policies = { ...DEFAULT_RATE_LIMIT_POLICIES };
+
+  Object.entries(overrides).forEach(([name, settings]) => {
+    if (!policies[name]) {
+      throw new Error(`Unknown rate limit policy "${name}". Use one of: ${Object.keys(policies).join(', ')}`);
+    }
+    if (settings === false) {
+      policies[name] = null;
+      return;
+    }
+
+    Object.entries(settings).forEach(([setting, value]) => {
+      if (!(setting in policies[name]) || !Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid rate limit setting ${name}.${setting}. Use a positive integer for one of: ${Object.keys(policies[name]).join(', ')}`);
+      }
+    });
+    policies[name] = { ...policies[name], ...settings };
+  });
+
+  return policies;
+};
+
+// Rate limit stores keep the counters. Any object with these methods works,
+// and they may return promises, so a shared store (Redis, a database) can
+// hold the limits of several server instances:
+//
+//   increment(key, windowMs)  counts a hit in key's window, starting a new
+//                             window of windowMs if there is none; returns
+//                             { count, resetAt } with resetAt in ms
+//   get(key)                  the current { count, resetAt }, or null
+//   reset(key)                forgets key
+//
+// The default store keeps them in memory, so limits start over on restart
+// and are not shared between instances.
+const createMemoryStore = () => {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  const current = (key, now) => {
+    const window = windows.get(key);
+    return window && window.resetAt > now ? window : null;
+  };
+
+  // Drop ended windows now and then, so the map does not keep growing
+  const sweep = (now) => {
+    if (now < nextSweep) {
+      return;
+    }
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    });
+    nextSweep = now + 60 * 1000;
+  };
+
+  return {
+    increment(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+      const window = current(key, now) || { count: 0, resetAt: now + windowMs };
+      window.count += 1;
+      windows.set(key, window);
+      return { ...window };
+    },
+
+    get(key) {
+      const window = current(key, Date.now());
+      return window ? { ...window } : null;
+    },
+
+    reset(key) {
+      windows.delete(key);
+    }
+  };
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Counts a request against a policy for its IP and, if known, its account.
+// Returns null while within the limits, or { scope, limit, retryAfter } with
+// retryAfter in seconds once either is exceeded.
+const consumeRateLimit = async (store, name, policy, { ip, account }) => {
+  const windowMs = policy.windowMinutes * 60 * 1000;
+  const checks = [
+    { scope: 'ip', key: ip, limit: policy.maxPerIP },
+    { scope: 'account', key: account, limit: policy.maxPerAccount }
+  ].filter(check => check.key && check.limit);
+
+  let exceeded = null;
+  for (const check of checks) {
+    const { count, resetAt } = await store.increment(`${name}:${check.scope}:${check.key}`, windowMs);
+    if (count > check.limit && (!exceeded || resetAt > exceeded.resetAt)) {
+      exceeded = { scope: check.scope, limit: check.limit, resetAt };
+    }
+  }
+
+  return exceeded && { scope: exceeded.scope, limit: exceeded.limit, retryAfter: secondsUntil(exceeded.resetAt) };
+};
+
+// The lockouts a login attempt counts towards: the email from the client's IP,
+// and the email from anywhere with its higher threshold
+const loginLockouts = (policy, { email, ip }) => [
+  { key: `ip:${email}|${ip}`, after: policy.lockoutAfter },
+  { key: `email:${email}`, after: policy.emailLockoutAfter }
+];
+
+const lockoutKey = (key) => `login:lockout:${key}`;
+const failuresKey = (key) => `login:failures:${key}`;
+
+// Seconds until a login to the email from the IP is allowed again, or 0
+const getLoginLockout = async (store, policy, attempt) => {
+  let seconds = 0;
+  for (const { key } of loginLockouts(policy, attempt)) {
+    const lockout = await store.get(lockoutKey(key));
+    if (lockout) {
+      seconds = Math.max(seconds, secondsUntil(lockout.resetAt));
+    }
+  }
+  return seconds;
+};
+
+// Counts a failed login; returns the seconds the email is now locked out for
+// from the IP, or 0
+const recordLoginFailure = async (store, policy, attempt) => {
+  let seconds = 0;
+  for (const { key, after } of loginLockouts(policy, attempt)) {
+    const { count } = await store.increment(failuresKey(key), LOGIN_FAILURE_MEMORY_HOURS * 60 * 60 * 1000);
+    if (count >= after) {
+      const minutes = Math.min(policy.lockoutMinutes * 2 ** (count - after), policy.maxLockoutMinutes);
+      const lockout = await store.increment(lockoutKey(key), minutes * 60 * 1000);
+      seconds = Math.max(seconds, secondsUntil(lockout.resetAt));
+    }
+  }
+  return seconds;
+};
+
+// A successful login starts the count of failures over
+const recordLoginSuccess = async (store, policy, attempt) => {
+  for (const { key } of loginLockouts(policy, attempt)) {
+    await store.reset(failuresKey(key));
+    await store.reset(lockoutKey(key));
+  }
+};
+
+module.exports = {
+  DEFAULT_RATE_LIMIT_POLICIES,
+  resolveRateLimitPolicies,
+  createMemoryStore,
+  consumeRateLimit,
+  getLoginLockout,
+  recordLoginFailure,
+  recordLoginSuccess
+};
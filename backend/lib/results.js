@@ -0,0 +1,86 @@
+// Contest results: who is winning, and who gets to see it.
+
+// Who can see the results:
+//   live         everyone, while voting is still going on
+//   after-close  admins right away, everyone else once the contest closes
+//   admin-only   admins only
+const RESULTS_VISIBILITIES = ['live', 'after-close', 'admin-only'];
+
+// How mascots with the same result are ordered:
+//   earliest-submission  the mascot submitted first goes ahead
+//   manual               the order chosen by an admin (resultsOrder), then
+//                        earliest submission for mascots it does not list
+const RESULTS_TIE_BREAKS = ['earliest-submission', 'manual'];
+
+// Blind contests keep results from non-admins until they close, whatever the
+// visibility says
+const canViewResults = (contest, phase, isAdmin) => {
+  if (isAdmin) {
+    return true;
+  }
+  if (contest.blindVoting && phase !== 'closed') {
+    return false;
+  }
+  return contest.resultsVisibility === 'live' || (contest.resultsVisibility === 'after-close' && phase === 'closed');
+};
+
+const bySubmissionTime = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+const byTieBreak = (tieBreak, manualOrder) => (a, b) => {
+  if (tieBreak === 'manual') {
+    const position = (mascot) => {
+      const index = manualOrder.indexOf(mascot.id);
+      return index === -1 ? Infinity : index;
+    };
+    if (position(a) !== position(b)) {
+      return position(a) < position(b) ? -1 : 1;
+    }
+  }
+  return bySubmissionTime(a, b);
+};
+
+// Orders result entries ({ mascot, votes, standing }) best first. A higher
+// standing always wins, then more votes, then the tie break. Entries that
+// only the tie break could separate are marked `tied`.
+const rankResults = (entries, { tieBreak, manualOrder = [], totalVotes }) => {
+  const sameResult = (a, b) => a.standing === b.standing && a.votes === b.votes;
+  const ranked = [...entries].sort((a, b) => {
+    return (b.standing - a.standing) || (b.votes - a.votes) || byTieBreak(tieBreak, manualOrder)(a.mascot, b.mascot);
+  });
+
+  return ranked.map((entry, index) => ({
+    position: index + 1,
+    mascot: entry.mascot,
+    votes: entry.votes,
+    percentage: totalVotes ? Math.round((entry.votes / totalVotes) * 1000) / 10 : 0,
+    tied: ranked.some((other, otherIndex) => otherIndex !== index && sameResult(entry, other))
+  }));
+};
+
+// Result entries for an approval contest: every mascot's vote count, as
+// given by countVotes(mascot)
+const approvalEntries = (mascots, countVotes) => {
+  return mascots.map(mascot => ({ mascot, votes: countVotes(mascot), standing: 0 }));
+};
+
+// Result entries for a ranked contest: mascots that survived more runoff
+// rounds finish ahead, with the votes they held in their last round
+const runoffEntries = (mascots, tally) => {
+  const { rounds } = tally;
+
+  return mascots.map(mascot => {
+    const eliminatedIn = rounds.findIndex(round => round.eliminated.includes(mascot.id));
+    const standing = eliminatedIn === -1 ? rounds.length : eliminatedIn;
+    const lastRound = rounds[eliminatedIn === -1 ? rounds.length - 1 : eliminatedIn];
+    return { mascot, votes: lastRound ? lastRound.counts[mascot.id] || 0 : 0, standing };
+  });
+};
+
+module.exports = {
+  RESULTS_VISIBILITIES,
+  RESULTS_TIE_BREAKS,
+  canViewResults,
+  rankResults,
+  approvalEntries,
+  runoffEntries
+};
@@ -0,0 +1,44 @@
+// Submission history. Every state a mascot goes through is kept as a revision
+// that is never changed afterwards: the T&C transfer the IP rights in an entry
+// when it is submitted, so we need to be able to show what was submitted when.
+
+// What happened to the mascot:
+//   created    submitted, or saved as a draft, by its owner
+//   submitted  a draft submitted by its owner
+//   updated    edited by its owner
+//   deleted    removed by its owner, with its owner's account, or by an admin
+//              clearing mascots
+//   restored   put back to an earlier revision by an admin
+//   imported   the state found when history started for a mascot submitted
+//              before revisions were recorded
+//   approved   approved by a moderator
+//   rejected   rejected by a moderator
+//   reported   sent back to review by users' reports; the actor is the user
+//              whose report reached the threshold
+const REVISION_ACTIONS = ['created', 'submitted', 'updated', 'deleted', 'restored', 'imported', 'approved', 'rejected', 'reported'];
+
+// Fields a revision keeps. Vote counts change with every vote and are not part
+// of the submission, so they are left out.
+const SNAPSHOT_FIELDS = ['name', 'description', 'imageUrl', 'imageHash', 'animationUrl', 'alternateImageUrls', 'userId', 'contestId', 'status', 'moderationStatus', 'rejectionReason', 'termsAcceptedAt', 'submissionIP', 'createdAt', 'updatedAt'];
+
+// Fields a restore puts back on the mascot
+const RESTORED_FIELDS = ['name', 'description', 'imageUrl', 'imageHash', 'animationUrl', 'alternateImageUrls'];
+
+const takeSnapshot = (mascot) => {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (mascot[field] !== undefined) {
+      snapshot[field] = mascot[field];
+    }
+  });
+  return snapshot;
+};
+
+const byRevisionNumber = (a, b) => a.number - b.number;
+
+module.exports = {
+  REVISION_ACTIONS,
+  RESTORED_FIELDS,
+  takeSnapshot,
+  byRevisionNumber
+};
@@ -0,0 +1,17 @@
+// User roles, from least to most privileged. Each role can do everything the
+// roles before it can.
+const ROLES = ['participant', 'moderator', 'admin'];
+
+const DEFAULT_ROLE = 'participant';
+
+// Users created before roles existed have no role field
+const getUserRole = (user) => (user && ROLES.includes(user.role) ? user.role : DEFAULT_ROLE);
+
+const hasRole = (user, role) => ROLES.indexOf(getUserRole(user)) >= ROLES.indexOf(role);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  getUserRole,
+  hasRole
+};
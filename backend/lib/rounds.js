@@ -0,0 +1,47 @@
+// Two-round voting: round 1 picks a shortlist, round 2 picks the winner among
+// the finalists with fresh votes.
+const FINAL_ROUND = 2;
+
+// How ties at the last finalist spot are resolved:
+//   include-all          every mascot tied at the cutoff becomes a finalist
+//   earliest-submission  tied mascots are ordered by submission time
+//   manual               an admin must pick among the tied mascots
+const TIE_BREAKS = ['include-all', 'earliest-submission', 'manual'];
+
+const bySubmissionTime = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+// Picks the top `count` mascots by vote count. Returns the finalists, or, for
+// the manual tie break, the mascots that are tied for the remaining spots.
+const selectFinalists = (mascots, { count, tieBreak, chosenIds = [] }) => {
+  const ranked = [...mascots].sort((a, b) => (b.votes - a.votes) || bySubmissionTime(a, b));
+
+  if (ranked.length <= count) {
+    return { finalists: ranked, tied: [] };
+  }
+
+  const cutoffVotes = ranked[count - 1].votes;
+  const ahead = ranked.filter(m => m.votes > cutoffVotes);
+  const tied = ranked.filter(m => m.votes === cutoffVotes);
+  const openSpots = count - ahead.length;
+
+  if (tied.length <= openSpots || tieBreak === 'include-all') {
+    return { finalists: [...ahead, ...tied], tied: [] };
+  }
+
+  if (tieBreak === 'earliest-submission') {
+    return { finalists: [...ahead, ...tied.slice(0, openSpots)], tied: [] };
+  }
+
+  // Manual: the admin's picks must fill the open spots from the tied mascots
+  const chosen = tied.filter(m => chosenIds.includes(m.id));
+  if (chosen.length !== openSpots) {
+    return { finalists: null, tied, openSpots };
+  }
+  return { finalists: [...ahead, ...chosen], tied: [] };
+};
+
+module.exports = {
+  FINAL_ROUND,
+  TIE_BREAKS,
+  selectFinalists
+};
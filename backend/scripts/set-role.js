@@ -0,0 +1,29 @@
+// Usage: npm run set-role --workspace=backend -- <email> <participant|moderator|admin>
+const path = require('path');
+require('dotenv').config();
+const { createStorage } = require('../storage');
+const { ROLES } = require('../lib/roles');
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'sqlite',
+  dataDir: path.join(__dirname, '..', 'data'),
+  filename: process.env.SQLITE_PATH
+});
+
+const user = storage.users.findOne({ email });
+if (!user) {
+  console.error(`No user found with email ${email}`);
+  storage.close();
+  process.exit(1);
+}
+
+storage.users.update(user.id, { role });
+storage.close();
+console.log(`✅ ${user.username} <${email}> is now ${role}`);
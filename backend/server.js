@@ -7,8 +7,22 @@ const path = require('path');
 const fs = require('fs');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
+const { createStorage, StorageConflictError } = require('./storage');
+const { ROLES, DEFAULT_ROLE, getUserRole, hasRole } = require('./lib/roles');
+const { PHASES, VOTING_MODES, PHASE_START_FIELDS, CONTEST_DEFAULTS, withContestDefaults, getContestPhase, isBlindVoting, validateSchedule, scheduleForPhase, describeContest } = require('./lib/contest');
+const { FINAL_ROUND, TIE_BREAKS, selectFinalists } = require('./lib/rounds');
+const { tallyInstantRunoff } = require('./lib/instantRunoff');
+const { MASCOT_SORTS, getDefaultSort, sortMascots } = require('./lib/ordering');
+const { RESULTS_VISIBILITIES, RESULTS_TIE_BREAKS, canViewResults, rankResults, approvalEntries, runoffEntries } = require('./lib/results');
+const { RESTORED_FIELDS, takeSnapshot, byRevisionNumber } = require('./lib/revisions');
+const { IMAGE_KINDS, MAX_ALTERNATE_IMAGES, MASCOT_IMAGES, DEFAULT_IMAGE_LIMITS, ImageValidationError, validateImage, createRenditions, mapImageSet, mapMascotImages, mascotImageSets, imageSetFiles } = require('./lib/images');
+const { DUPLICATE_FLAG_STATUSES, computeImageHash, hashSimilarity, findSimilarImages } = require('./lib/duplicates');
+const { MODERATION_STATUSES, MODERATION_DECISIONS, REPORT_REASONS, REPORT_STATUSES, DEFAULT_REPORT_HIDE_THRESHOLD } = require('./lib/moderation');
+const { FRAUD_SEVERITIES, DEFAULT_FRAUD_THRESHOLDS, analyzeVoteFraud } = require('./lib/fraud');
+const { AUDIT_ACTIONS, SUSPENSION_SCOPES } = require('./lib/audit');
+const { resolveRateLimitPolicies, createMemoryStore, consumeRateLimit, getLoginLockout, recordLoginFailure, recordLoginSuccess } = require('./lib/rateLimit');
 require('dotenv').config();
 
 const app = express();
@@ -30,91 +44,370 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Load data from files or initialize with defaults
-let users = [];
-let mascots = [];
-let votes = [];
+// Images of earlier revisions are moved here, out of the public uploads
+const revisionImagesDir = path.join(dataDir, 'revisions');
+if (!fs.existsSync(revisionImagesDir)) {
+  fs.mkdirSync(revisionImagesDir, { recursive: true });
+}
+
+// Storage layer (SQLite by default, STORAGE_DRIVER=json for the legacy files)
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'sqlite',
+  dataDir,
+  filename: process.env.SQLITE_PATH
+});
+
+// Registration does not verify email addresses, so nobody becomes an admin by
+// registering a particular one. The first admin is set with scripts/set-role.js.
+if (process.env.ADMIN_EMAILS) {
+  console.warn('⚠️  ADMIN_EMAILS is no longer used. Promote admins with: npm run set-role --workspace=backend -- <email> admin');
+}
+
+// Create the first contest on first start. It stays in draft until an admin
+// schedules its phases.
+storage.transaction(() => {
+  if (storage.contests.count() === 0) {
+    storage.contests.insert({
+      id: uuidv4(),
+      name: 'OFI Mascot Contest',
+      submissionsOpenAt: null,
+      votingOpenAt: null,
+      closedAt: null,
+      createdAt: new Date().toISOString()
+    });
+  }
+});
+
+// Records that predate rounds and multiple contests belong to round 1 of the
+// first contest
+storage.transaction(() => {
+  const firstContest = storage.contests.all()[0];
+
+  storage.mascots.findMany({ contestId: null }).forEach(mascot => {
+    storage.mascots.update(mascot.id, { contestId: firstContest.id });
+  });
+
+  storage.votes.findMany({ contestId: null }).forEach(vote => {
+    storage.votes.update(vote.id, { contestId: firstContest.id });
+  });
+
+  storage.votes.findMany({ round: null }).forEach(vote => {
+    storage.votes.update(vote.id, { round: 1 });
+  });
+});
+
+// Mascots that predate drafts were all submitted
+storage.transaction(() => {
+  storage.mascots.findMany({ status: null }).forEach(mascot => {
+    storage.mascots.update(mascot.id, { status: 'submitted' });
+  });
+});
+
+// Mascots submitted before moderation were already public, so they count as approved
+storage.transaction(() => {
+  storage.mascots.findMany({ status: 'submitted', moderationStatus: null }).forEach(mascot => {
+    storage.mascots.update(mascot.id, { moderationStatus: 'approved' });
+  });
+});
 
-const DATA_FILES = {
-  users: path.join(dataDir, 'users.json'),
-  mascots: path.join(dataDir, 'mascots.json'),
-  votes: path.join(dataDir, 'votes.json')
+// Mascots submitted before revisions were recorded start their history with
+// the state they are in now
+storage.transaction(() => {
+  storage.mascots.all().forEach(mascot => {
+    if (storage.revisions.count({ mascotId: mascot.id }) === 0) {
+      storage.revisions.insert({
+        id: uuidv4(),
+        mascotId: mascot.id,
+        contestId: mascot.contestId,
+        number: 1,
+        action: 'imported',
+        snapshot: takeSnapshot(mascot),
+        actorId: null,
+        createdAt: new Date().toISOString()
+      });
+    }
+  });
+});
+
+// Helper function to get a contest with its settings filled in
+const getContest = (contestId) => {
+  const contest = storage.contests.findById(contestId);
+  return contest ? withContestDefaults(contest) : null;
 };
 
-// Function to save data to files
-const saveData = (type) => {
-  const data = { users, mascots, votes }[type];
-  fs.writeFileSync(DATA_FILES[type], JSON.stringify(data, null, 2));
+// Helper function to list contests, newest first
+const getContestsNewestFirst = () => {
+  return storage.contests.all().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 };
 
-// Function to load data from files
-const loadData = () => {
-  try {
-    if (fs.existsSync(DATA_FILES.users)) {
-      users = JSON.parse(fs.readFileSync(DATA_FILES.users));
-    } else {
-      // Initialize with default demo user
-      users = [{
-        id: 1,
-        username: 'demo',
-        email: 'demo@example.com',
-        password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi' // 'password'
-      }];
-      saveData('users');
-    }
+// Helper function to pick the contest used by routes without a contest id:
+// the newest contest that has not closed yet, or else the newest one
+const getDefaultContest = () => {
+  const contests = getContestsNewestFirst();
+  const running = contests.find(contest => getContestPhase(contest) !== 'closed');
+  return withContestDefaults(running || contests[0]);
+};
 
-    if (fs.existsSync(DATA_FILES.mascots)) {
-      mascots = JSON.parse(fs.readFileSync(DATA_FILES.mascots));
-    }
+// Helper function to list a contest's entries: the approved submissions. Drafts
+// are only seen by their owner, and other submissions by their owner and moderators.
+const getContestEntries = (contestId) => storage.mascots.findMany({ contestId, status: 'submitted', moderationStatus: 'approved' });
 
-    if (fs.existsSync(DATA_FILES.votes)) {
-      votes = JSON.parse(fs.readFileSync(DATA_FILES.votes));
-    }
-  } catch (error) {
-    console.error('Error loading data:', error);
+// Helper function to tell whether a mascot is one of its contest's entries
+const isContestEntry = (mascot) => mascot.status === 'submitted' && mascot.moderationStatus === 'approved';
+
+// Helper function to tell whether a mascot takes part in the contest's current round
+const isInCurrentRound = (contest, mascot) => contest.round < FINAL_ROUND || contest.finalistIds.includes(mascot.id);
+
+// Helper function to list the mascots a user has voted for (or ranked) in the
+// contest's current round
+const getVotedMascotIds = (contest, userId) => {
+  const { id: contestId, round } = contest;
+  if (contest.votingMode === 'ranked') {
+    const ballot = storage.ballots.findOne({ userId, contestId, round });
+    return ballot ? ballot.ranking : [];
+  }
+  return storage.votes.findMany({ userId, contestId, round }).map(vote => vote.mascotId);
+};
+
+// Helper function to count the votes matching the criteria that count: voided
+// votes are kept but left out
+const countVotes = (criteria) => storage.votes.count({ ...criteria, voidedAt: null });
+
+// Helper function to bring a mascot's vote counts back in line with its votes,
+// after some of them were voided or restored
+const recountVotes = (mascotId) => {
+  const mascot = storage.mascots.findById(mascotId);
+  if (!mascot) {
+    return;
+  }
+
+  const counts = { votes: countVotes({ mascotId, round: getContest(mascot.contestId).round }) };
+  if (mascot.round1Votes !== undefined) {
+    counts.round1Votes = countVotes({ mascotId, round: 1 });
   }
+  storage.mascots.update(mascotId, counts);
 };
 
-// Load data on startup
-loadData();
+// Helper function to count the votes a user has left in the contest's current
+// round; null when the contest has no vote budget. Voided votes still use up
+// the budget.
+const getRemainingVotes = (contest, userId) => {
+  if (contest.voteBudget === null) {
+    return null;
+  }
+  const used = storage.votes.count({ userId, contestId: contest.id, round: contest.round });
+  return Math.max(0, contest.voteBudget - used);
+};
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadsDir);
   },
+  // No extension from the client: until the upload is checked, nothing should
+  // get served from it as HTML or SVG
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, file.fieldname + '-' + uniqueSuffix);
   }
 });
 
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+
+// Uploads are checked by their content in processImageUploads, not by name or type
 const upload = multer({
-  storage: storage,
+  storage: uploadStorage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
+    fileSize: maxFileSize
+  }
+});
 
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
+// Every image a mascot can have, each in its own field
+const mascotImageUpload = upload.fields(MASCOT_IMAGES.map(({ field, maxCount }) => ({ name: field, maxCount })));
+
+const imageLimits = {
+  ...DEFAULT_IMAGE_LIMITS,
+  maxDimension: parseInt(process.env.MAX_IMAGE_DIMENSION) || DEFAULT_IMAGE_LIMITS.maxDimension,
+  maxFrames: parseInt(process.env.MAX_GIF_FRAMES) || DEFAULT_IMAGE_LIMITS.maxFrames
+};
+
+// Helper function to turn a stored upload path into a URL on this server
+const absoluteUrl = (req, urlPath) => (urlPath ? `${req.protocol}://${req.get('host')}${urlPath}` : null);
+
+// Helper function to turn a stored image set into the URLs of every size
+const imageUrls = (req, imageSet) => mapImageSet(imageSet, urlPath => absoluteUrl(req, urlPath));
+
+// Helper function to turn all of a mascot's images into URLs, by property
+const mascotImageUrls = (req, mascot) => mapMascotImages(mascot, urlPath => absoluteUrl(req, urlPath));
+
+// Helper function to delete an uploaded image file, given its stored path
+const removeImageFile = (imageUrl) => {
+  if (!imageUrl) {
+    return;
+  }
+
+  const imagePath = path.join(uploadsDir, path.basename(imageUrl));
+  if (fs.existsSync(imagePath)) {
+    fs.unlinkSync(imagePath);
+    console.log(`Deleted image file: ${imagePath}`);
+  }
+};
+
+// Helper function to delete every file of an image set
+const removeImageSet = (imageSet) => imageSetFiles(imageSet).forEach(removeImageFile);
+
+// Helper function to turn an upload into the image set that is stored, along
+// with its perceptual hash. The upload itself, metadata and all, is deleted
+// whether or not that works.
+const processUploadedImage = async (file, kind) => {
+  try {
+    await validateImage(file.path, kind, imageLimits);
+    const filenames = await createRenditions(file.path, uploadsDir);
+    return {
+      imageSet: mapImageSet(filenames, filename => `/uploads/${filename}`),
+      imageHash: await computeImageHash(file.path)
+    };
+  } finally {
+    removeImageFile(file.filename);
+  }
+};
+
+// Helper function to take a mascot's image out of the public uploads while
+// keeping it for the revision history. Copied rather than renamed, since the
+// uploads and data directories may live on different volumes.
+const archiveImageSet = (imageSet) => {
+  imageSetFiles(imageSet).forEach(imageUrl => {
+    const imagePath = path.join(uploadsDir, path.basename(imageUrl));
+    if (fs.existsSync(imagePath)) {
+      fs.copyFileSync(imagePath, path.join(revisionImagesDir, path.basename(imageUrl)));
+      fs.unlinkSync(imagePath);
+      console.log(`Archived image file: ${imagePath}`);
     }
+  });
+};
+
+// Helper function to archive every image of a mascot
+const archiveMascotImages = (mascot) => mascotImageSets(mascot).forEach(archiveImageSet);
+
+// Helper function to archive the images a mascot had before a change that it
+// no longer has after it
+const archiveReplacedImages = (before, after) => {
+  const kept = mascotImageSets(after).flatMap(imageSetFiles);
+  mascotImageSets(before)
+    .filter(imageSet => !imageSetFiles(imageSet).some(file => kept.includes(file)))
+    .forEach(archiveImageSet);
+};
+
+// Helper function to find an image file referenced by a revision, whether it
+// is still in the uploads or has been archived
+const findImageFile = (imageUrl) => {
+  if (!imageUrl) {
+    return null;
   }
-});
 
-// Helper function to get client IP address
+  return [uploadsDir, revisionImagesDir]
+    .map(dir => path.join(dir, path.basename(imageUrl)))
+    .find(imagePath => fs.existsSync(imagePath)) || null;
+};
+
+// Helper function to flag other users' entries in the same contest whose image
+// looks like this mascot's, for moderators to review. Drafts are private and
+// only checked once submitted, and rejected entries are out of the contest.
+// Pending flags of the mascot are replaced, since they were about an image it
+// no longer has; pairs a moderator already reviewed keep their flag. Call it
+// in the transaction that stores the image; returns the new flags.
+const flagDuplicateImages = (mascot) => {
+  storage.duplicateFlags.removeMany({ mascotId: mascot.id, status: 'pending' });
+  storage.duplicateFlags.removeMany({ matchedMascotId: mascot.id, status: 'pending' });
+
+  if (mascot.status !== 'submitted' || mascot.moderationStatus === 'rejected') {
+    return [];
+  }
+
+  const candidates = storage.mascots.findMany({ contestId: mascot.contestId, status: 'submitted' })
+    .filter(other => other.moderationStatus !== 'rejected')
+    .filter(other => !storage.duplicateFlags.findOne({ mascotId: mascot.id, matchedMascotId: other.id })
+      && !storage.duplicateFlags.findOne({ mascotId: other.id, matchedMascotId: mascot.id }));
+
+  return findSimilarImages(mascot, candidates).map(({ mascot: match, distance }) => {
+    return storage.duplicateFlags.insert({
+      id: uuidv4(),
+      mascotId: mascot.id,
+      matchedMascotId: match.id,
+      distance,
+      similarity: hashSimilarity(distance),
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    });
+  });
+};
+
+// Helper function to drop the duplicate flags on either side of a mascot
+const removeDuplicateFlags = (mascotId) => {
+  storage.duplicateFlags.removeMany({ mascotId });
+  storage.duplicateFlags.removeMany({ matchedMascotId: mascotId });
+};
+
+// Helper function to drop the reports on a mascot
+const removeReports = (mascotId) => storage.reports.removeMany({ mascotId });
+
+// Helper function to record a mascot's current state as its next revision.
+// Call it in the same transaction as the change, with the acting user's id.
+const recordRevision = (mascot, action, actorId, details = {}) => {
+  return storage.revisions.insert({
+    id: uuidv4(),
+    mascotId: mascot.id,
+    contestId: mascot.contestId,
+    number: storage.revisions.count({ mascotId: mascot.id }) + 1,
+    action,
+    snapshot: takeSnapshot(mascot),
+    actorId,
+    ...details,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Helper function to write an admin action to the audit log, along with the
+// user it was taken against. Call it in the same transaction as the action.
+const recordAuditEntry = (action, actorId, { userId, targetId, reason, details = {} }) => {
+  return storage.auditLog.insert({
+    id: uuidv4(),
+    action,
+    userId,
+    targetId,
+    reason,
+    details,
+    actorId,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Helper function to void or restore a vote or ballot, keeping the mascot's
+// vote count in step. Call it in a transaction.
+const setVoided = (collection, record, voided, actorId, reason) => {
+  const updated = storage[collection].update(record.id, voided
+    ? { voidedAt: new Date().toISOString(), voidedBy: actorId, voidReason: reason }
+    : { voidedAt: null, voidedBy: null, voidReason: null });
+
+  if (collection === 'votes') {
+    recountVotes(record.mascotId);
+  }
+  return updated;
+};
+
+// Helper function to drop vote counts from a mascot
+const withoutVoteCounts = ({ votes, round1Votes, ...mascot }) => mascot;
+
+// Helper function to drop the fields only moderators and admins may see from a
+// mascot shown in the gallery
+const toPublicMascot = ({ submissionIP, imageHash, moderatedBy, moderatedAt, rejectionReason, ...mascot }) => mascot;
+
+// Helper function to get client IP address. req.ip only reads X-Forwarded-For
+// from the proxies 'trust proxy' allows; the header itself is never trusted,
+// since any client can send it.
 const getClientIP = (req) => {
   return req.ip || 
-         req.connection?.remoteAddress || 
          req.socket?.remoteAddress || 
-         (req.connection?.socket ? req.connection.socket.remoteAddress : null) ||
-         req.headers['x-forwarded-for']?.split(',')[0] ||
-         req.headers['x-real-ip'] ||
          'unknown';
 };
 
@@ -143,8 +436,12 @@ app.use(cors({
   credentials: true
 }));
 
-// Trust proxy for accurate IP addresses
-app.set('trust proxy', true);
+// Trust only the reverse proxies in front of the server for the client IP, or
+// clients could pick their own IP (and dodge the per-IP rate limits). TRUST_PROXY
+// takes a hop count or a list of proxy addresses/subnets; the default trusts a
+// proxy on the same host.
+const trustProxy = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
 
 app.use(morgan('combined'));
 app.use(express.json());
@@ -179,15 +476,205 @@ const authenticateToken = (req, res, next) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
+
+    // Tokens issued before the uuid migration carry the old numeric user id
+    if (typeof user.id === 'number') {
+      const migratedUser = storage.users.findOne({ legacyId: user.id });
+      if (!migratedUser) {
+        return res.status(403).json({ error: 'Invalid token' });
+      }
+      user.id = migratedUser.id;
+    }
+
     req.user = user;
     next();
   });
 };
 
+// Like authenticateToken, but lets requests without a token through without req.user
+const optionalAuth = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
+// Helper function to tell whether the requester, if any, is an admin
+const isAdminRequest = (req) => !!req.user && hasRole(storage.users.findById(req.user.id), 'admin');
+
+// Results middleware, used after optionalAuth and loadContest: rejects the
+// request unless the contest lets the requester see its results
+const requireResultsAccess = (req, res, next) => {
+  const { contest } = req;
+  const phase = getContestPhase(contest);
+
+  if (!canViewResults(contest, phase, isAdminRequest(req))) {
+    return res.status(403).json({
+      error: contest.resultsVisibility === 'admin-only'
+        ? 'Results are only available to admins'
+        : 'Results will be published when the contest closes',
+      resultsVisibility: contest.resultsVisibility,
+      phase
+    });
+  }
+
+  next();
+};
+
+// Role middleware, used after authenticateToken. Checks the stored user rather
+// than the token, so role changes apply without waiting for a new token.
+const requireRole = (role) => (req, res, next) => {
+  const user = storage.users.findById(req.user.id);
+  if (!user) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+
+  if (!hasRole(user, role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+
+  req.user.role = getUserRole(user);
+  next();
+};
+
+// Contest middleware: sets req.contest from the :contestId param or the
+// contestId query, falling back to the default contest
+const loadContest = (req, res, next) => {
+  const contestId = req.params.contestId || req.query.contestId;
+  const contest = contestId ? getContest(contestId) : getDefaultContest();
+  if (!contest) {
+    return res.status(404).json({ error: 'Contest not found' });
+  }
+
+  req.contest = contest;
+  next();
+};
+
+// Mascot middleware: sets req.mascot from the :id param and req.contest from
+// the contest the mascot was entered in
+const loadMascot = (req, res, next) => {
+  const mascot = storage.mascots.findById(req.params.id);
+  if (!mascot || (req.params.contestId && mascot.contestId !== req.params.contestId)) {
+    return res.status(404).json({ error: 'Mascot not found' });
+  }
+
+  req.mascot = mascot;
+  req.contest = getContest(mascot.contestId);
+  next();
+};
+
+// Phase middleware, used after loadContest or loadMascot: rejects the request
+// unless req.contest is in one of the given phases
+const requirePhase = (...phases) => (req, res, next) => {
+  const phase = getContestPhase(req.contest);
+
+  if (!phases.includes(phase)) {
+    const messages = {
+      submissions: 'Mascot submissions are not open',
+      voting: 'Voting is not open'
+    };
+    return res.status(403).json({
+      error: messages[phases[0]] || 'This action is not available in the current contest phase',
+      phase
+    });
+  }
+
+  next();
+};
+
+// Voting mode middleware, used after loadContest or loadMascot: approval votes
+// and ranked ballots are only accepted by contests in the matching mode
+const requireVotingMode = (mode) => (req, res, next) => {
+  const { votingMode } = req.contest;
+
+  if (votingMode !== mode) {
+    const messages = {
+      approval: 'This contest uses ranked ballots. Submit a ballot instead.',
+      ranked: 'This contest does not use ranked ballots'
+    };
+    return res.status(400).json({ error: messages[mode], votingMode });
+  }
+
+  next();
+};
+
+// Suspension middleware, used after authenticateToken: rejects users an admin
+// has suspended from the given activity
+const requireNotSuspended = (scope) => (req, res, next) => {
+  const user = storage.users.findById(req.user.id);
+
+  if (user && (user.suspendedFrom || []).includes(scope)) {
+    const messages = {
+      voting: 'Your account has been suspended from voting',
+      submitting: 'Your account has been suspended from submitting mascots'
+    };
+    return res.status(403).json({ error: messages[scope], suspendedFrom: user.suspendedFrom });
+  }
+
+  next();
+};
+
+// Rate limit policies (RATE_LIMITS overrides them as JSON, e.g.
+// {"vote":{"maxPerAccount":60}}) and the store that counts requests. Any
+// store with the interface in lib/rateLimit.js can replace the in-memory one.
+const rateLimitPolicies = resolveRateLimitPolicies(process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {});
+const rateLimitStore = createMemoryStore();
+
+// Helper function to turn a request away with a 429 and when to try again
+const sendTooManyRequests = (res, retryAfter, error) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+};
+
+// Rate limit middleware: counts the request against a policy by client IP and
+// by account, which is the logged-in user unless getAccount says otherwise
+const rateLimit = (name, getAccount = (req) => req.user && req.user.id) => async (req, res, next) => {
+  const policy = rateLimitPolicies[name];
+  if (!policy) {
+    return next();
+  }
+
+  let limited;
+  try {
+    limited = await consumeRateLimit(rateLimitStore, name, policy, { ip: getClientIP(req), account: getAccount(req) });
+  } catch (error) {
+    return next(error);
+  }
+
+  if (limited) {
+    const messages = {
+      login: 'Too many login attempts. Please try again later.',
+      register: 'Too many accounts have been registered from your network. Please try again later.',
+      vote: 'You are voting too fast. Please slow down.',
+      upload: 'Too many mascot submissions. Please try again later.'
+    };
+    return sendTooManyRequests(res, limited.retryAfter, messages[name]);
+  }
+
+  next();
+};
+
+// Login attempts count against the email being tried, whether or not it has an
+// account, from the client's IP. Keying the rate limit on the email alone would
+// let anyone block an account by trying to log in to it.
+const loginAttempt = (req) => {
+  if (typeof req.body.email !== 'string') {
+    return null;
+  }
+  return { email: req.body.email.trim().toLowerCase(), ip: getClientIP(req) };
+};
+
+const loginAccount = (req) => {
+  const attempt = loginAttempt(req);
+  return attempt && `${attempt.email}|${attempt.ip}`;
+};
+
+const LOGIN_LOCKOUT_MESSAGE = 'Too many failed login attempts. Please try again later.';
+
 // Helper function to generate JWT
 const generateToken = (user) => {
   return jwt.sign(
-    { id: user.id, username: user.username, email: user.email },
+    { id: user.id, username: user.username, email: user.email, role: getUserRole(user) },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
   );
@@ -203,7 +690,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Authentication routes
-app.post('/api/auth/register', [
+app.post('/api/auth/register', rateLimit('register'), [
   body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
@@ -221,8 +708,8 @@ app.post('/api/auth/register', [
   }
 
   // Check if user already exists
-  const existingUserByEmail = users.find(u => u.email === email);
-  const existingUserByUsername = users.find(u => u.username === username);
+  const existingUserByEmail = storage.users.findOne({ email });
+  const existingUserByUsername = storage.users.findOne({ username });
   
   if (existingUserByEmail) {
     return res.status(400).json({ error: 'An account with this email address already exists' });
@@ -241,17 +728,15 @@ app.post('/api/auth/register', [
     const clientIP = getClientIP(req);
 
     // Create new user
-    const newUser = {
-      id: users.length + 1,
+    const newUser = storage.users.insert({
+      id: uuidv4(),
       username,
       email,
       password: hashedPassword,
+      role: DEFAULT_ROLE,
       registrationIP: clientIP,
       createdAt: new Date().toISOString()
-    };
-
-    users.push(newUser);
-    saveData('users');
+    });
 
     // Generate token
     const token = generateToken(newUser);
@@ -262,16 +747,20 @@ app.post('/api/auth/register', [
       user: {
         id: newUser.id,
         username: newUser.username,
-        email: newUser.email
+        email: newUser.email,
+        role: getUserRole(newUser)
       }
     });
   } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return res.status(400).json({ error: 'An account with this email address or username already exists' });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/auth/login', [
+app.post('/api/auth/login', rateLimit('login', loginAccount), [
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -281,20 +770,32 @@ app.post('/api/auth/login', [
   }
 
   const { email, password } = req.body;
+  const lockout = rateLimitPolicies.login;
+  const attempt = loginAttempt(req);
 
   try {
-    // Find user
-    const user = users.find(u => u.email === email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (lockout) {
+      const lockedFor = await getLoginLockout(rateLimitStore, lockout, attempt);
+      if (lockedFor > 0) {
+        return sendTooManyRequests(res, lockedFor, LOGIN_LOCKOUT_MESSAGE);
+      }
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Find user and check password
+    const user = storage.users.findOne({ email });
+    const isPasswordValid = !!user && await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      const lockedFor = lockout ? await recordLoginFailure(rateLimitStore, lockout, attempt) : 0;
+      if (lockedFor > 0) {
+        return sendTooManyRequests(res, lockedFor, LOGIN_LOCKOUT_MESSAGE);
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (lockout) {
+      await recordLoginSuccess(rateLimitStore, lockout, attempt);
+    }
+
     // Generate token
     const token = generateToken(user);
 
@@ -304,7 +805,8 @@ app.post('/api/auth/login', [
       user: {
         id: user.id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: getUserRole(user)
       }
     });
   } catch (error) {
@@ -313,329 +815,1679 @@ app.post('/api/auth/login', [
   }
 });
 
+// Contest routes
+app.get('/api/contests', (req, res) => {
+  res.json(getContestsNewestFirst().map(contest => describeContest(contest)));
+});
+
+// `/api/contest` and the other routes without a contest id use the default contest
+app.get(['/api/contest', '/api/contests/:contestId'], loadContest, (req, res) => {
+  res.json(describeContest(req.contest));
+});
+
 // Mascot routes
-app.get('/api/mascots', (req, res) => {
-  const mascotsWithUserInfo = mascots.map(mascot => {
-    const user = users.find(u => u.id === mascot.userId);
+// Gallery filters that need a logged-in user:
+//   mine       the user's own mascot
+//   voted      mascots the user voted for (or ranked) this round
+//   not-voted  mascots the user can still vote for
+const MASCOT_FILTERS = ['mine', 'voted', 'not-voted'];
+const MASCOT_PAGE_SIZE = 24;
+const MAX_MASCOT_PAGE_SIZE = 100;
+
+app.get(['/api/mascots', '/api/contests/:contestId/mascots'], optionalAuth, loadContest, [
+  query('sort').optional().isIn(MASCOT_SORTS).withMessage(`sort must be one of: ${MASCOT_SORTS.join(', ')}`),
+  query('filter').optional().isIn(MASCOT_FILTERS).withMessage(`filter must be one of: ${MASCOT_FILTERS.join(', ')}`),
+  query('q').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: MAX_MASCOT_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_MASCOT_PAGE_SIZE}`).toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer').toInt()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { contest } = req;
+
+  // In blind contests only admins see vote counts and creators before the
+  // contest closes; owners still see their own userId
+  const blind = isBlindVoting(contest) && !isAdminRequest(req);
+
+  const sort = req.query.sort || getDefaultSort(getContestPhase(contest));
+  if (blind && sort === 'votes') {
+    return res.status(400).json({ error: 'Sorting by votes is not available until the contest closes' });
+  }
+
+  const { filter, q: search } = req.query;
+  if (filter && !req.user) {
+    return res.status(401).json({ error: 'Log in to filter by your own mascot or votes' });
+  }
+
+  // The shuffle is seeded per viewer and contest; anonymous viewers by IP
+  const seed = `${contest.id}:${req.user ? req.user.id : getClientIP(req)}`;
+
+  // Only finalists are listed once the final round has started
+  let contestMascots = getContestEntries(contest.id)
+    .filter(mascot => isInCurrentRound(contest, mascot));
+
+  if (search) {
+    const needle = search.toLowerCase();
+    contestMascots = contestMascots.filter(mascot => {
+      return [mascot.name, mascot.description].some(text => String(text || '').toLowerCase().includes(needle));
+    });
+  }
+
+  if (filter === 'mine') {
+    contestMascots = contestMascots.filter(mascot => mascot.userId === req.user.id);
+  } else if (filter) {
+    const votedIds = getVotedMascotIds(contest, req.user.id);
+    contestMascots = contestMascots.filter(mascot => {
+      return filter === 'voted'
+        ? votedIds.includes(mascot.id)
+        : !votedIds.includes(mascot.id) && mascot.userId !== req.user.id;
+    });
+  }
+
+  // Only the requested page gets the creator join
+  const limit = req.query.limit || MASCOT_PAGE_SIZE;
+  const offset = req.query.offset || 0;
+  const page = sortMascots(contestMascots, sort, seed).slice(offset, offset + limit);
+
+  const mascotsWithUserInfo = page.map(mascot => {
+    if (blind) {
+      const { userId, ...anonymous } = withoutVoteCounts(toPublicMascot(mascot));
+      return {
+        ...anonymous,
+        ...(req.user && userId === req.user.id ? { userId } : {}),
+        ...mascotImageUrls(req, mascot)
+      };
+    }
+
+    const user = storage.users.findById(mascot.userId);
     return {
-      ...mascot,
+      ...toPublicMascot(mascot),
       creator: user ? user.username : 'Unknown',
-      imageUrl: mascot.imageUrl ? `${req.protocol}://${req.get('host')}${mascot.imageUrl}` : null
+      ...mascotImageUrls(req, mascot)
     };
   });
   
-  res.json(mascotsWithUserInfo);
+  res.json({
+    mascots: mascotsWithUserInfo,
+    total: contestMascots.length,
+    offset,
+    limit,
+    hasMore: offset + page.length < contestMascots.length
+  });
 });
 
-app.post('/api/mascots', authenticateToken, upload.single('image'), [
-  body('name').isLength({ min: 1 }).withMessage('Mascot name is required'),
-  body('description').isLength({ min: 1 }).withMessage('Description is required')
-], (req, res) => {
+// Submitting a mascot means accepting the Terms and Conditions, which transfer
+// the rights in the design
+const hasAcceptedTerms = (value) => value === true || value === 'true';
+const TERMS_REQUIRED_MESSAGE = 'You must accept the Terms and Conditions to submit a mascot';
+
+// Helper function to list the raw uploads of a request, in every field
+const uploadedFiles = (req) => Object.values(req.files || {}).flat();
+
+// Helper function to delete the raw uploads of a rejected request
+const removeUploadedFiles = (req) => uploadedFiles(req).forEach(file => removeImageFile(file.filename));
+
+// Helper function to delete the images processed for a rejected request
+const removeProcessedImages = (req) => mascotImageSets(req.images || {}).forEach(removeImageSet);
+
+// Upload middleware, used after multer and the route's validators: checks each
+// upload of a valid request against the rules for its field and turns it into
+// a stored image set. req.images gets the image set of each uploaded field by
+// mascot property (alternate views as a list) and req.imageHash the hash of a
+// new primary image. If one upload is rejected, none are kept, and the response
+// names its field. Invalid requests keep the raw uploads for the route to discard.
+const processImageUploads = async (req, res, next) => {
+  if (uploadedFiles(req).length === 0 || !validationResult(req).isEmpty()) {
+    return next();
+  }
+
+  req.images = {};
+  let currentField = null;
+  try {
+    for (const { field, kind, property, multiple } of MASCOT_IMAGES) {
+      currentField = field;
+      for (const file of req.files[field] || []) {
+        const { imageSet, imageHash } = await processUploadedImage(file, IMAGE_KINDS[kind]);
+        if (multiple) {
+          req.images[property] = [...(req.images[property] || []), imageSet];
+        } else {
+          req.images[property] = imageSet;
+        }
+        if (property === 'imageUrl') {
+          req.imageHash = imageHash;
+        }
+      }
+    }
+  } catch (error) {
+    removeProcessedImages(req);
+    removeUploadedFiles(req);
+    if (error instanceof ImageValidationError) {
+      return res.status(400).json({ error: error.message, code: error.code, field: currentField, ...error.details });
+    }
+    return next(error);
+  }
+  next();
+};
+
+// Animations and alternate views go with a primary image, which is what the
+// gallery, ballots and results show
+const EXTRA_IMAGES_NEED_PRIMARY_MESSAGE = 'Add a main image before adding an animation or other views';
+const hasImagesWithoutPrimary = (mascot) => !mascot.imageUrl && mascotImageSets(mascot).length > 0;
+
+// Validation condition for what only a final submission requires
+const isFinalSubmission = (value, { req }) => req.body.status !== 'draft';
+
+// Create a mascot. With `status: 'draft'` it is saved as a draft that only its
+// owner sees, with the name and description still optional; otherwise it is
+// submitted right away.
+app.post(['/api/mascots', '/api/contests/:contestId/mascots'], authenticateToken, rateLimit('upload'), requireNotSuspended('submitting'), loadContest, requirePhase('submissions'), mascotImageUpload, [
+  body('status').optional().isIn(['draft', 'submitted']).withMessage('Status must be draft or submitted'),
+  body('name').if(isFinalSubmission).isLength({ min: 1 }).withMessage('Mascot name is required'),
+  body('description').if(isFinalSubmission).isLength({ min: 1 }).withMessage('Description is required'),
+  body('acceptTerms').if(isFinalSubmission).custom(hasAcceptedTerms).withMessage(TERMS_REQUIRED_MESSAGE)
+], processImageUploads, (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
+    removeUploadedFiles(req);
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, description } = req.body;
+  const { name = '', description = '' } = req.body;
+  const isDraft = req.body.status === 'draft';
+  const images = req.images || {};
+
+  if (hasImagesWithoutPrimary(images)) {
+    removeProcessedImages(req);
+    return res.status(400).json({ error: EXTRA_IMAGES_NEED_PRIMARY_MESSAGE });
+  }
   
-  // Check if user already has a mascot
-  const existingMascot = mascots.find(m => m.userId === req.user.id);
+  // Check if user already has a mascot in this contest. Drafts don't count.
+  const existingMascot = storage.mascots.findOne({ userId: req.user.id, contestId: req.contest.id, status: 'submitted' });
   if (existingMascot) {
-    return res.status(400).json({ error: 'You can only submit one mascot per user' });
+    removeProcessedImages(req);
+    return res.status(400).json({ error: 'You can only submit one mascot per contest' });
+  }
+
+  if (isDraft && storage.mascots.findOne({ userId: req.user.id, contestId: req.contest.id, status: 'draft' })) {
+    removeProcessedImages(req);
+    return res.status(400).json({ error: 'You already have a draft for this contest' });
   }
 
   // Get client IP address
   const clientIP = getClientIP(req);
-
-  const newMascot = {
-    id: mascots.length + 1,
-    name,
-    description,
-    imageUrl: req.file ? `/uploads/${req.file.filename}` : null,
-    votes: 0,
-    userId: req.user.id,
-    submissionIP: clientIP,
-    createdAt: new Date().toISOString()
-  };
-
-  mascots.push(newMascot);
-  saveData('mascots');
+  const now = new Date().toISOString();
+
+  const { mascot: newMascot, duplicateFlags } = storage.transaction(() => {
+    const mascot = storage.mascots.insert({
+      id: uuidv4(),
+      name,
+      description,
+      imageUrl: images.imageUrl || null,
+      imageHash: req.imageHash || null,
+      animationUrl: images.animationUrl || null,
+      alternateImageUrls: images.alternateImageUrls || [],
+      votes: 0,
+      userId: req.user.id,
+      contestId: req.contest.id,
+      status: isDraft ? 'draft' : 'submitted',
+      moderationStatus: isDraft ? null : 'pending',
+      ...(isDraft ? {} : { termsAcceptedAt: now }),
+      submissionIP: clientIP,
+      createdAt: now
+    });
+    recordRevision(mascot, 'created', req.user.id);
+    return { mascot, duplicateFlags: flagDuplicateImages(mascot) };
+  });
 
   res.status(201).json({
-    message: 'Mascot created successfully',
+    message: isDraft ? 'Draft saved successfully' : 'Mascot submitted for review',
     mascot: {
       ...newMascot,
-      imageUrl: newMascot.imageUrl ? `${req.protocol}://${req.get('host')}${newMascot.imageUrl}` : null
-    }
+      ...mascotImageUrls(req, newMascot)
+    },
+    // The entry is accepted either way; a moderator decides on the match
+    possibleDuplicate: duplicateFlags.length > 0
   });
 });
 
-// Delete a specific mascot (only by creator or admin)
-app.delete('/api/mascots/:id', authenticateToken, (req, res) => {
-  const mascotId = parseInt(req.params.id);
-  const userId = req.user.id;
-
-  // Find the mascot
-  const mascotIndex = mascots.findIndex(m => m.id === mascotId);
-  if (mascotIndex === -1) {
-    return res.status(404).json({ error: 'Mascot not found' });
+// Update a mascot (only by its owner, while submissions are open). The owner
+// check runs before the upload so rejected requests don't leave files behind.
+const requireMascotOwner = (req, res, next) => {
+  if (req.mascot.userId !== req.user.id) {
+    return res.status(403).json({ error: 'You can only edit your own mascot' });
   }
+  next();
+};
 
-  const mascot = mascots[mascotIndex];
+// An uploaded primary image or animation replaces the current one. Uploaded
+// alternate views are added to the current ones, after taking out those listed
+// in removeAlternateImages (by position); removeAnimation drops the animation.
+app.patch(['/api/mascots/:id', '/api/contests/:contestId/mascots/:id'], authenticateToken, rateLimit('upload'), requireNotSuspended('submitting'), loadMascot, requireMascotOwner, requirePhase('submissions'), mascotImageUpload, [
+  body('name').optional().isLength({ min: 1 }).withMessage('Mascot name cannot be empty'),
+  body('description').optional().isLength({ min: 1 }).withMessage('Description cannot be empty'),
+  body('removeAnimation').optional().isBoolean().withMessage('removeAnimation must be true or false').toBoolean(),
+  body('removeAlternateImages').optional().toArray(),
+  body('removeAlternateImages.*').isInt({ min: 0 }).withMessage('removeAlternateImages must list positions').toInt()
+], processImageUploads, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    removeUploadedFiles(req);
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-  // Check if user owns this mascot (only creator can delete)
-  if (mascot.userId !== userId) {
-    return res.status(403).json({ error: 'You can only delete your own mascot' });
+  // Read the mascot again: it may have changed while the images were processed
+  const mascot = storage.mascots.findById(req.mascot.id);
+  if (!mascot) {
+    removeProcessedImages(req);
+    return res.status(404).json({ error: 'Mascot not found' });
   }
 
-  try {
-    // Delete associated image file if it exists
-    if (mascot.imageUrl) {
-      const imagePath = path.join(__dirname, 'uploads', path.basename(mascot.imageUrl));
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-        console.log(`Deleted image file: ${imagePath}`);
-      }
+  const images = req.images || {};
+  const changes = {};
+  ['name', 'description'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      changes[field] = req.body[field];
     }
+  });
+  if (images.imageUrl) {
+    changes.imageUrl = images.imageUrl;
+    changes.imageHash = req.imageHash;
+  }
+  if (images.animationUrl) {
+    changes.animationUrl = images.animationUrl;
+  } else if (req.body.removeAnimation && mascot.animationUrl) {
+    changes.animationUrl = null;
+  }
 
-    // Remove the mascot
-    mascots.splice(mascotIndex, 1);
-    saveData('mascots');
+  const removedPositions = req.body.removeAlternateImages || [];
+  if (removedPositions.length > 0 || images.alternateImageUrls) {
+    changes.alternateImageUrls = [
+      ...(mascot.alternateImageUrls || []).filter((imageSet, position) => !removedPositions.includes(position)),
+      ...(images.alternateImageUrls || [])
+    ];
+  }
 
-    // Remove all votes for this mascot
-    const initialVotesLength = votes.length;
-    votes = votes.filter(v => v.mascotId !== mascotId);
-    const removedVotesCount = initialVotesLength - votes.length;
-    if (removedVotesCount > 0) {
-      saveData('votes');
-    }
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  if (changes.alternateImageUrls && changes.alternateImageUrls.length > MAX_ALTERNATE_IMAGES) {
+    removeProcessedImages(req);
+    return res.status(400).json({
+      error: `A mascot can have at most ${MAX_ALTERNATE_IMAGES} alternate views`,
+      code: 'TOO_MANY_IMAGES',
+      field: 'alternateImages',
+      maxAlternateImages: MAX_ALTERNATE_IMAGES
+    });
+  }
+
+  if (hasImagesWithoutPrimary({ ...mascot, ...changes })) {
+    removeProcessedImages(req);
+    return res.status(400).json({ error: EXTRA_IMAGES_NEED_PRIMARY_MESSAGE });
+  }
+
+  // Changes to a submission are reviewed like the submission itself
+  if (mascot.status === 'submitted') {
+    changes.moderationStatus = 'pending';
+    changes.rejectionReason = null;
+  }
+
+  const updatedMascot = storage.transaction(() => {
+    const updated = storage.mascots.update(mascot.id, {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+    recordRevision(updated, 'updated', req.user.id);
+    if (changes.imageUrl) {
+      flagDuplicateImages(updated);
+    }
+    return updated;
+  });
+
+  // Old images are only archived once the new ones are in place
+  archiveReplacedImages(mascot, updatedMascot);
+
+  res.json({
+    message: 'Mascot updated successfully',
+    mascot: {
+      ...updatedMascot,
+      ...mascotImageUrls(req, updatedMascot)
+    }
+  });
+});
+
+// Submit a draft. The entry dates from its submission rather than from when
+// the draft was started, so drafts can't be used to get ahead in tie breaks.
+app.post(['/api/mascots/:id/submit', '/api/contests/:contestId/mascots/:id/submit'], authenticateToken, requireNotSuspended('submitting'), loadMascot, requireMascotOwner, requirePhase('submissions'), [
+  body('acceptTerms').custom(hasAcceptedTerms).withMessage(TERMS_REQUIRED_MESSAGE)
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { mascot } = req;
+  if (mascot.status !== 'draft') {
+    return res.status(400).json({ error: 'This mascot has already been submitted' });
+  }
+
+  if (!mascot.name || !mascot.description) {
+    return res.status(400).json({ error: 'Add a name and a description before submitting' });
+  }
+
+  if (storage.mascots.findOne({ userId: req.user.id, contestId: mascot.contestId, status: 'submitted' })) {
+    return res.status(400).json({ error: 'You can only submit one mascot per contest' });
+  }
+
+  const now = new Date().toISOString();
+  const { mascot: submittedMascot, duplicateFlags } = storage.transaction(() => {
+    const submitted = storage.mascots.update(mascot.id, {
+      status: 'submitted',
+      moderationStatus: 'pending',
+      termsAcceptedAt: now,
+      submissionIP: getClientIP(req),
+      createdAt: now
+    });
+    recordRevision(submitted, 'submitted', req.user.id);
+    return { mascot: submitted, duplicateFlags: flagDuplicateImages(submitted) };
+  });
+
+  res.json({
+    message: 'Mascot submitted for review',
+    mascot: {
+      ...submittedMascot,
+      ...mascotImageUrls(req, submittedMascot)
+    },
+    possibleDuplicate: duplicateFlags.length > 0
+  });
+});
+
+// Delete a specific mascot (only by creator or admin)
+app.delete('/api/mascots/:id', authenticateToken, (req, res) => {
+  const mascotId = req.params.id;
+  const userId = req.user.id;
+
+  // Find the mascot
+  const mascot = storage.mascots.findById(mascotId);
+  if (!mascot) {
+    return res.status(404).json({ error: 'Mascot not found' });
+  }
+
+  // Check if user owns this mascot (only creator can delete)
+  if (mascot.userId !== userId) {
+    return res.status(403).json({ error: 'You can only delete your own mascot' });
+  }
+
+  try {
+    // Remove the mascot and the votes for it, keeping its last state in the
+    // history. Voided votes are kept as evidence for the audit log.
+    const removedVotesCount = storage.transaction(() => {
+      recordRevision(mascot, 'deleted', userId);
+      removeDuplicateFlags(mascotId);
+      removeReports(mascotId);
+      storage.mascots.remove(mascotId);
+      return storage.votes.removeMany({ mascotId, voidedAt: null });
+    });
+
+    // Archive the mascot's image files
+    archiveMascotImages(mascot);
 
     res.json({ 
       message: 'Mascot deleted successfully',
       deletedMascot: mascot.name,
       removedVotes: removedVotesCount
     });
-  } catch (error) {
-    console.error('Error deleting mascot:', error);
-    res.status(500).json({ error: 'Failed to delete mascot' });
+  } catch (error) {
+    console.error('Error deleting mascot:', error);
+    res.status(500).json({ error: 'Failed to delete mascot' });
+  }
+});
+
+const reportHideThreshold = parseInt(process.env.REPORT_HIDE_THRESHOLD) || DEFAULT_REPORT_HIDE_THRESHOLD;
+
+// Report an entry to the moderators, once per user per mascot. Once it has
+// reportHideThreshold open reports, an approved entry goes back to review and
+// out of the gallery until a moderator decides on it. Since reports can take
+// an entry out of the running, users suspended from voting cannot file them.
+app.post(['/api/mascots/:id/reports', '/api/contests/:contestId/mascots/:id/reports'], authenticateToken, requireNotSuspended('voting'), loadMascot, [
+  body('reason').isIn(REPORT_REASONS).withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('details').optional().isString().trim().isLength({ max: 1000 }).withMessage('Details can be at most 1000 characters'),
+  body('details').if(body('reason').equals('other')).isString().isLength({ min: 1 })
+    .withMessage('Tell the moderators what is wrong with this mascot')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { mascot } = req;
+  if (!isContestEntry(mascot)) {
+    return res.status(404).json({ error: 'Mascot not found' });
+  }
+
+  if (mascot.userId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot report your own mascot' });
+  }
+
+  // Checked inside the transaction, and the unique index catches requests
+  // from other server instances
+  let report;
+  try {
+    report = storage.transaction(() => {
+      if (storage.reports.findOne({ mascotId: mascot.id, userId: req.user.id })) {
+        return null;
+      }
+
+      const created = storage.reports.insert({
+        id: uuidv4(),
+        mascotId: mascot.id,
+        contestId: mascot.contestId,
+        userId: req.user.id,
+        reason: req.body.reason,
+        details: req.body.details || '',
+        status: 'open',
+        createdAt: new Date().toISOString()
+      });
+
+      const current = storage.mascots.findById(mascot.id);
+      if (current.moderationStatus === 'approved' &&
+          storage.reports.count({ mascotId: mascot.id, status: 'open' }) >= reportHideThreshold) {
+        recordRevision(storage.mascots.update(mascot.id, { moderationStatus: 'pending' }), 'reported', req.user.id);
+      }
+      return created;
+    });
+  } catch (error) {
+    if (!(error instanceof StorageConflictError)) {
+      throw error;
+    }
+  }
+
+  if (!report) {
+    return res.status(409).json({ error: 'You have already reported this mascot' });
+  }
+
+  res.status(201).json({
+    message: 'Thank you. The moderators will take a look at this mascot.',
+    report
+  });
+});
+
+// Voters cannot change what an admin has voided; only an admin can restore it
+const VOIDED_VOTE_MESSAGE = 'This vote has been voided by an admin and cannot be changed';
+const VOIDED_BALLOT_MESSAGE = 'Your ballot has been voided by an admin and cannot be changed';
+
+app.post(['/api/mascots/:id/vote', '/api/contests/:contestId/mascots/:id/vote'], authenticateToken, rateLimit('vote'), requireNotSuspended('voting'), loadMascot, requirePhase('voting'), requireVotingMode('approval'), (req, res) => {
+  const { mascot } = req;
+  const mascotId = mascot.id;
+  const userId = req.user.id;
+
+  if (!isContestEntry(mascot)) {
+    return res.status(404).json({ error: 'Mascot not found' });
+  }
+
+  // Check if user is trying to vote for their own mascot
+  if (mascot.userId === userId) {
+    return res.status(400).json({ error: 'You cannot vote for your own mascot' });
+  }
+
+  const { round } = req.contest;
+  if (!isInCurrentRound(req.contest, mascot)) {
+    return res.status(400).json({ error: 'Only finalists can receive votes in the final round' });
+  }
+
+  // Check if user has already voted for this mascot in this round
+  const existingVote = storage.votes.findOne({ userId, mascotId, round });
+  if (existingVote) {
+    return res.status(400).json({ error: 'You have already voted for this mascot' });
+  }
+
+  // Get client IP address
+  const clientIP = getClientIP(req);
+
+  // Record the vote and update the mascot vote count together. The budget is
+  // checked inside the transaction so parallel requests cannot overspend it.
+  let newVoteCount;
+  try {
+    newVoteCount = storage.transaction(() => {
+      if (getRemainingVotes(req.contest, userId) === 0) {
+        return null;
+      }
+
+      storage.votes.insert({
+        id: uuidv4(),
+        userId,
+        mascotId,
+        contestId: mascot.contestId,
+        round,
+        voteIP: clientIP,
+        createdAt: new Date().toISOString()
+      });
+      return storage.mascots.update(mascotId, { votes: countVotes({ mascotId, round }) }).votes;
+    });
+  } catch (error) {
+    if (error instanceof StorageConflictError) {
+      return res.status(400).json({ error: 'You have already voted for this mascot' });
+    }
+    throw error;
+  }
+
+  if (newVoteCount === null) {
+    const { voteBudget } = req.contest;
+    return res.status(400).json({
+      error: voteBudget === 1
+        ? 'You have already used your vote in this round'
+        : `You have used all ${voteBudget} of your votes in this round`,
+      voteBudget,
+      remainingVotes: 0
+    });
+  }
+
+  res.json({ 
+    success: true, 
+    message: `Vote recorded for ${mascot.name}`,
+    mascotId,
+    ...(isBlindVoting(req.contest) ? {} : { newVoteCount }),
+    remainingVotes: getRemainingVotes(req.contest, userId)
+  });
+});
+
+// Get user's votes in the current round of a contest (?contestId=, default contest otherwise)
+app.get('/api/user/votes', authenticateToken, loadContest, (req, res) => {
+  const { id: contestId, round, voteBudget } = req.contest;
+  const userVotes = storage.votes.findMany({ userId: req.user.id, contestId, round });
+  res.json({
+    votes: userVotes,
+    voteBudget,
+    remainingVotes: getRemainingVotes(req.contest, req.user.id)
+  });
+});
+
+// Remove a vote for a specific mascot
+app.delete(['/api/mascots/:id/vote', '/api/contests/:contestId/mascots/:id/vote'], authenticateToken, rateLimit('vote'), requireNotSuspended('voting'), loadMascot, requirePhase('voting'), requireVotingMode('approval'), (req, res) => {
+  const { mascot } = req;
+  const mascotId = mascot.id;
+  const userId = req.user.id;
+
+  // Find the vote in the current round
+  const { round } = req.contest;
+  const vote = storage.votes.findOne({ userId, mascotId, round });
+  if (!vote) {
+    return res.status(404).json({ error: 'Vote not found' });
+  }
+
+  // Withdrawing would erase a vote an admin has voided
+  if (vote.voidedAt) {
+    return res.status(400).json({ error: VOIDED_VOTE_MESSAGE });
+  }
+
+  try {
+    // Remove the vote and update the mascot vote count together
+    const newVoteCount = storage.transaction(() => {
+      storage.votes.remove(vote.id);
+      return storage.mascots.update(mascotId, { votes: countVotes({ mascotId, round }) }).votes;
+    });
+
+    res.json({ 
+      success: true, 
+      message: `Vote removed for ${mascot.name}`,
+      mascotId,
+      ...(isBlindVoting(req.contest) ? {} : { newVoteCount }),
+      remainingVotes: getRemainingVotes(req.contest, userId)
+    });
+  } catch (error) {
+    console.error('Error removing vote:', error);
+    res.status(500).json({ error: 'Failed to remove vote' });
+  }
+});
+
+// Ranked-choice ballots: one per voter per round, replaced on every submission
+app.get('/api/user/ballot', authenticateToken, loadContest, (req, res) => {
+  const { id: contestId, round } = req.contest;
+  const ballot = storage.ballots.findOne({ userId: req.user.id, contestId, round });
+  res.json({ ballot });
+});
+
+app.put(['/api/ballot', '/api/contests/:contestId/ballot'], authenticateToken, rateLimit('vote'), requireNotSuspended('voting'), loadContest, requirePhase('voting'), requireVotingMode('ranked'), [
+  body('ranking').isArray({ min: 1 }).withMessage('ranking must be a non-empty array of mascot ids')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { contest } = req;
+  const userId = req.user.id;
+  const { ranking } = req.body;
+
+  if (new Set(ranking).size !== ranking.length) {
+    return res.status(400).json({ error: 'Each mascot can only be ranked once' });
+  }
+
+  if (contest.voteBudget !== null && ranking.length > contest.voteBudget) {
+    return res.status(400).json({ error: `You can rank at most ${contest.voteBudget} mascots` });
+  }
+
+  const candidateIds = getContestEntries(contest.id)
+    .filter(mascot => isInCurrentRound(contest, mascot))
+    .map(mascot => mascot.id);
+  if (!ranking.every(mascotId => candidateIds.includes(mascotId))) {
+    return res.status(400).json({ error: 'The ballot ranks mascots that are not running in this round' });
+  }
+
+  const ownMascot = storage.mascots.findOne({ userId, contestId: contest.id, status: 'submitted' });
+  if (ownMascot && ranking.includes(ownMascot.id)) {
+    return res.status(400).json({ error: 'You cannot rank your own mascot' });
+  }
+
+  const clientIP = getClientIP(req);
+
+  // Replace the voter's ballot for this round, or cast a new one
+  const ballot = storage.transaction(() => {
+    const existing = storage.ballots.findOne({ userId, contestId: contest.id, round: contest.round });
+    if (existing && existing.voidedAt) {
+      return null;
+    }
+    if (existing) {
+      return storage.ballots.update(existing.id, {
+        ranking,
+        ballotIP: clientIP,
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    return storage.ballots.insert({
+      id: uuidv4(),
+      userId,
+      contestId: contest.id,
+      round: contest.round,
+      ranking,
+      ballotIP: clientIP,
+      createdAt: new Date().toISOString()
+    });
+  });
+
+  if (!ballot) {
+    return res.status(400).json({ error: VOIDED_BALLOT_MESSAGE });
+  }
+
+  res.json({
+    success: true,
+    message: 'Ballot saved',
+    ballot
+  });
+});
+
+app.delete(['/api/ballot', '/api/contests/:contestId/ballot'], authenticateToken, rateLimit('vote'), requireNotSuspended('voting'), loadContest, requirePhase('voting'), requireVotingMode('ranked'), (req, res) => {
+  const { id: contestId, round } = req.contest;
+  const ballot = storage.ballots.findOne({ userId: req.user.id, contestId, round });
+  if (!ballot) {
+    return res.status(404).json({ error: 'Ballot not found' });
+  }
+
+  if (ballot.voidedAt) {
+    return res.status(400).json({ error: VOIDED_BALLOT_MESSAGE });
+  }
+
+  storage.ballots.remove(ballot.id);
+  res.json({ success: true, message: 'Ballot withdrawn' });
+});
+
+// Instant-runoff tally of a ranked-choice contest's current round
+app.get(['/api/contest/tally', '/api/contests/:contestId/tally'], optionalAuth, loadContest, requireVotingMode('ranked'), requireResultsAccess, (req, res) => {
+  const { contest } = req;
+  const candidates = getContestEntries(contest.id)
+    .filter(mascot => isInCurrentRound(contest, mascot));
+  const ballots = storage.ballots.findMany({ contestId: contest.id, round: contest.round, voidedAt: null });
+
+  const { winner, tied, rounds } = tallyInstantRunoff(ballots, candidates.map(mascot => mascot.id));
+
+  res.json({
+    contestId: contest.id,
+    round: contest.round,
+    ballots: ballots.length,
+    candidates: candidates.map(mascot => ({ id: mascot.id, name: mascot.name })),
+    winner,
+    tied,
+    rounds
+  });
+});
+
+// Ranked results of a contest's current round, if the contest lets the requester see them
+app.get(['/api/contest/results', '/api/contests/:contestId/results'], optionalAuth, loadContest, requireResultsAccess, (req, res) => {
+  const { contest } = req;
+  const phase = getContestPhase(contest);
+
+  const mascots = getContestEntries(contest.id)
+    .filter(mascot => isInCurrentRound(contest, mascot));
+
+  let entries;
+  let totalVotes;
+  if (contest.votingMode === 'ranked') {
+    const ballots = storage.ballots.findMany({ contestId: contest.id, round: contest.round, voidedAt: null });
+    entries = runoffEntries(mascots, tallyInstantRunoff(ballots, mascots.map(mascot => mascot.id)));
+    totalVotes = ballots.length;
+  } else {
+    // Counted from the vote records, which the totals come from as well
+    entries = approvalEntries(mascots, mascot => countVotes({ mascotId: mascot.id, round: contest.round }));
+    totalVotes = countVotes({ contestId: contest.id, round: contest.round });
+  }
+
+  const results = rankResults(entries, {
+    tieBreak: contest.resultsTieBreak,
+    manualOrder: contest.resultsOrder,
+    totalVotes
+  }).map(({ mascot, ...result }) => {
+    const user = storage.users.findById(mascot.userId);
+    return {
+      ...result,
+      id: mascot.id,
+      name: mascot.name,
+      creator: user ? user.username : 'Unknown',
+      imageUrl: imageUrls(req, mascot.imageUrl),
+      createdAt: mascot.createdAt
+    };
+  });
+
+  res.json({
+    contestId: contest.id,
+    round: contest.round,
+    phase,
+    final: phase === 'closed',
+    votingMode: contest.votingMode,
+    resultsVisibility: contest.resultsVisibility,
+    tieBreak: contest.resultsTieBreak,
+    totalVotes,
+    results
+  });
+});
+
+// Get current user info
+app.get('/api/user/me', authenticateToken, (req, res) => {
+  const user = storage.users.findById(req.user.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  // Vote counts stay hidden from owners too while their contest votes blind
+  const userMascots = storage.mascots.findMany({ userId: req.user.id }).map(mascot => ({
+    ...(isBlindVoting(getContest(mascot.contestId)) ? withoutVoteCounts(mascot) : mascot),
+    ...mascotImageUrls(req, mascot)
+  }));
+
+  // hasMascot and mascot refer to the submitted entry in the default contest;
+  // mascots lists every contest, drafts included
+  const defaultContestId = getDefaultContest().id;
+  const userMascot = userMascots.find(mascot => mascot.contestId === defaultContestId && mascot.status === 'submitted');
+
+  res.json({
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: getUserRole(user),
+    hasMascot: !!userMascot,
+    mascot: userMascot || null,
+    mascots: userMascots
+  });
+});
+
+// Delete user account (only own account)
+app.delete('/api/user/me', authenticateToken, (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const user = storage.users.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Deleting the account would erase the evidence behind an admin's action
+    const hasVoidedRecords = [storage.votes, storage.ballots].some(collection => {
+      return collection.findMany({ userId }).some(record => record.voidedAt);
+    });
+    if ((user.suspendedFrom || []).length > 0 || hasVoidedRecords) {
+      return res.status(403).json({ error: 'This account is under review by an admin and cannot be deleted right now' });
+    }
+
+    const userMascots = storage.mascots.findMany({ userId });
+    const votedMascotIds = storage.votes.findMany({ userId }).map(vote => vote.mascotId);
+
+    const removedVotesCount = storage.transaction(() => {
+      // Remove user's mascots in every contest and the votes for them, except
+      // voided votes, which are kept for the audit log
+      userMascots.forEach(mascot => {
+        recordRevision(mascot, 'deleted', userId);
+        removeDuplicateFlags(mascot.id);
+        removeReports(mascot.id);
+        storage.mascots.remove(mascot.id);
+        storage.votes.removeMany({ mascotId: mascot.id, voidedAt: null });
+      });
+
+      // Remove all votes, ballots and reports by this user, then the user
+      const removedVotes = storage.votes.removeMany({ userId });
+      storage.ballots.removeMany({ userId });
+      storage.reports.removeMany({ userId });
+      storage.users.remove(userId);
+
+      // The mascots the user voted for lose those votes
+      votedMascotIds.forEach(recountVotes);
+      return removedVotes;
+    });
+
+    // Archive the mascots' image files once the records are gone
+    userMascots.forEach(archiveMascotImages);
+
+    res.json({ 
+      message: 'Account deleted successfully',
+      deletedUser: user.username,
+      deletedMascots: userMascots.map(mascot => mascot.name),
+      removedVotes: removedVotesCount
+    });
+  } catch (error) {
+    console.error('Error deleting user account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Helper function to describe one mascot of a suspected duplicate pair
+const describeDuplicateMascot = (req, mascotId) => {
+  const mascot = storage.mascots.findById(mascotId);
+  if (!mascot) {
+    return null;
+  }
+
+  const user = storage.users.findById(mascot.userId);
+  return {
+    id: mascot.id,
+    name: mascot.name,
+    contestId: mascot.contestId,
+    status: mascot.status,
+    userId: mascot.userId,
+    creator: user ? user.username : 'Unknown',
+    imageUrl: imageUrls(req, mascot.imageUrl),
+    createdAt: mascot.createdAt
+  };
+};
+
+// Moderator endpoints for suspected duplicate images. Each flag pairs a mascot
+// with an earlier one by another user whose image looks alike; the most alike
+// pairs come first.
+app.get('/api/moderation/duplicates', authenticateToken, requireRole('moderator'), [
+  query('status').optional().isIn(DUPLICATE_FLAG_STATUSES).withMessage(`Status must be one of: ${DUPLICATE_FLAG_STATUSES.join(', ')}`),
+  query('contestId').optional().isString()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const flags = storage.duplicateFlags.findMany(req.query.status ? { status: req.query.status } : {})
+    .sort((a, b) => (a.distance - b.distance) || (new Date(b.createdAt) - new Date(a.createdAt)));
+
+  const duplicates = flags
+    .map(flag => ({
+      ...flag,
+      mascot: describeDuplicateMascot(req, flag.mascotId),
+      matchedMascot: describeDuplicateMascot(req, flag.matchedMascotId)
+    }))
+    .filter(duplicate => !req.query.contestId || duplicate.mascot.contestId === req.query.contestId);
+
+  res.json({ duplicates, total: duplicates.length });
+});
+
+app.put('/api/moderation/duplicates/:flagId', authenticateToken, requireRole('moderator'), [
+  body('status').isIn(DUPLICATE_FLAG_STATUSES).withMessage(`Status must be one of: ${DUPLICATE_FLAG_STATUSES.join(', ')}`)
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const flag = storage.duplicateFlags.findById(req.params.flagId);
+  if (!flag) {
+    return res.status(404).json({ error: 'Duplicate flag not found' });
+  }
+
+  // Nobody reviews a flag on their own entry
+  const flaggedMascots = [flag.mascotId, flag.matchedMascotId].map(id => storage.mascots.findById(id));
+  if (flaggedMascots.some(mascot => mascot && mascot.userId === req.user.id)) {
+    return res.status(403).json({ error: 'You cannot review a duplicate flag on your own mascot' });
+  }
+
+  const updatedFlag = storage.duplicateFlags.update(flag.id, {
+    status: req.body.status,
+    reviewedBy: req.user.id,
+    reviewedAt: new Date().toISOString()
+  });
+
+  res.json({
+    message: 'Duplicate review saved',
+    duplicate: {
+      ...updatedFlag,
+      mascot: describeDuplicateMascot(req, updatedFlag.mascotId),
+      matchedMascot: describeDuplicateMascot(req, updatedFlag.matchedMascotId)
+    }
+  });
+});
+
+// Helper function to describe a submission for moderators, with everything
+// needed to review it
+const describeSubmission = (req, mascot) => {
+  const user = storage.users.findById(mascot.userId);
+  return {
+    ...mascot,
+    creator: user ? user.username : 'Unknown',
+    ...mascotImageUrls(req, mascot),
+    possibleDuplicate: storage.duplicateFlags.count({ mascotId: mascot.id, status: 'pending' }) > 0,
+    openReports: storage.reports.count({ mascotId: mascot.id, status: 'open' })
+  };
+};
+
+// Moderator endpoints for the review of submissions. The queue lists pending
+// submissions by default, oldest first.
+app.get('/api/moderation/mascots', authenticateToken, requireRole('moderator'), [
+  query('status').optional().isIn(MODERATION_STATUSES).withMessage(`Status must be one of: ${MODERATION_STATUSES.join(', ')}`),
+  query('contestId').optional().isString()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const criteria = { status: 'submitted', moderationStatus: req.query.status || 'pending' };
+  if (req.query.contestId) {
+    criteria.contestId = req.query.contestId;
+  }
+
+  const mascots = sortMascots(storage.mascots.findMany(criteria), 'oldest')
+    .map(mascot => describeSubmission(req, mascot));
+
+  res.json({ mascots, total: mascots.length });
+});
+
+// Approve or reject a submission. Rejections need a reason, which the owner
+// sees. Moderators cannot decide on their own submissions.
+app.put('/api/moderation/mascots/:id', authenticateToken, requireRole('moderator'), [
+  body('status').isIn(MODERATION_DECISIONS).withMessage(`Status must be one of: ${MODERATION_DECISIONS.join(', ')}`),
+  body('reason').if(body('status').equals('rejected')).isString().trim().isLength({ min: 1, max: 500 })
+    .withMessage('A rejection needs a reason of at most 500 characters')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const mascot = storage.mascots.findById(req.params.id);
+  if (!mascot || mascot.status !== 'submitted') {
+    return res.status(404).json({ error: 'Mascot not found' });
+  }
+  if (mascot.userId === req.user.id) {
+    return res.status(403).json({ error: 'You cannot moderate your own mascot' });
+  }
+
+  const { status } = req.body;
+  const now = new Date().toISOString();
+  const moderatedMascot = storage.transaction(() => {
+    const moderated = storage.mascots.update(mascot.id, {
+      moderationStatus: status,
+      rejectionReason: status === 'rejected' ? req.body.reason : null,
+      moderatedBy: req.user.id,
+      moderatedAt: now
+    });
+    recordRevision(moderated, status, req.user.id);
+
+    // The decision answers the reports made so far
+    storage.reports.findMany({ mascotId: mascot.id, status: 'open' }).forEach(report => {
+      storage.reports.update(report.id, { status: 'resolved', resolution: status, resolvedBy: req.user.id, resolvedAt: now });
+    });
+    return moderated;
+  });
+
+  res.json({
+    message: status === 'approved' ? 'Mascot approved' : 'Mascot rejected',
+    mascot: describeSubmission(req, moderatedMascot)
+  });
+});
+
+// Reports grouped by mascot, the most reported first. Open reports are listed
+// unless `status` asks for resolved ones; approving or rejecting the mascot
+// resolves them.
+app.get('/api/moderation/reports', authenticateToken, requireRole('moderator'), [
+  query('status').optional().isIn(REPORT_STATUSES).withMessage(`Status must be one of: ${REPORT_STATUSES.join(', ')}`),
+  query('contestId').optional().isString()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const criteria = { status: req.query.status || 'open' };
+  if (req.query.contestId) {
+    criteria.contestId = req.query.contestId;
+  }
+
+  const reportsByMascot = new Map();
+  storage.reports.findMany(criteria).forEach(report => {
+    reportsByMascot.set(report.mascotId, [...(reportsByMascot.get(report.mascotId) || []), report]);
+  });
+
+  const mascots = [...reportsByMascot].map(([mascotId, reports]) => {
+    const reasons = {};
+    reports.forEach(report => {
+      reasons[report.reason] = (reasons[report.reason] || 0) + 1;
+    });
+
+    return {
+      mascot: describeSubmission(req, storage.mascots.findById(mascotId)),
+      reportCount: reports.length,
+      reasons,
+      reports: reports
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(report => {
+          const reporter = storage.users.findById(report.userId);
+          return { ...report, reporter: reporter ? reporter.username : 'Unknown' };
+        })
+    };
+  }).sort((a, b) => (b.reportCount - a.reportCount) || (new Date(b.reports[0].createdAt) - new Date(a.reports[0].createdAt)));
+
+  res.json({ mascots, total: mascots.length });
+});
+
+// Admin endpoints to manage user roles
+app.get('/api/admin/users', authenticateToken, requireRole('admin'), (req, res) => {
+  const users = storage.users.all().map(user => ({
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: getUserRole(user),
+    suspendedFrom: user.suspendedFrom || [],
+    createdAt: user.createdAt
+  }));
+
+  res.json(users);
+});
+
+app.put('/api/admin/users/:id/role', authenticateToken, requireRole('admin'), [
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const user = storage.users.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  // Keep at least one admin around
+  if (user.id === req.user.id && req.body.role !== 'admin') {
+    return res.status(400).json({ error: 'You cannot remove your own admin role' });
+  }
+
+  const updatedUser = storage.users.update(user.id, { role: req.body.role });
+
+  res.json({
+    message: `${updatedUser.username} is now ${updatedUser.role}`,
+    user: {
+      id: updatedUser.id,
+      username: updatedUser.username,
+      email: updatedUser.email,
+      role: updatedUser.role
+    }
+  });
+});
+
+// Admin endpoints against vote fraud. Nothing is deleted: voided votes and
+// ballots stop counting until they are restored, and suspensions can be
+// lifted. Every action needs a reason and goes to the audit log.
+const reasonValidator = body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason of at most 500 characters is required');
+
+const voidValidators = [
+  body('voided').isBoolean().withMessage('voided must be true or false').toBoolean(),
+  reasonValidator
+];
+
+// Voids or restores one approval vote or ranked ballot
+const voidRecordHandler = (collection, noun) => (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const record = storage[collection].findById(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: `${noun[0].toUpperCase()}${noun.slice(1)} not found` });
+  }
+
+  const { voided, reason } = req.body;
+  if (!!record.voidedAt === voided) {
+    return res.status(400).json({ error: `This ${noun} is ${voided ? 'already voided' : 'not voided'}` });
+  }
+
+  const updated = storage.transaction(() => {
+    const result = setVoided(collection, record, voided, req.user.id, reason);
+    recordAuditEntry(`${noun}-${voided ? 'voided' : 'restored'}`, req.user.id, {
+      userId: record.userId,
+      targetId: record.id,
+      reason,
+      details: {
+        contestId: record.contestId,
+        round: record.round,
+        ...(collection === 'votes' ? { mascotId: record.mascotId } : { ranking: record.ranking })
+      }
+    });
+    return result;
+  });
+
+  res.json({ message: `${noun[0].toUpperCase()}${noun.slice(1)} ${voided ? 'voided' : 'restored'}`, [noun]: updated });
+};
+
+app.put('/api/admin/votes/:id', authenticateToken, requireRole('admin'), voidValidators, voidRecordHandler('votes', 'vote'));
+
+app.put('/api/admin/ballots/:id', authenticateToken, requireRole('admin'), voidValidators, voidRecordHandler('ballots', 'ballot'));
+
+// Voids all of a user's votes and ballots, or restores all the voided ones (in
+// one contest with `contestId`)
+app.put('/api/admin/users/:id/votes', authenticateToken, requireRole('admin'), [
+  ...voidValidators,
+  body('contestId').optional().isString()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const user = storage.users.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const { voided, reason, contestId } = req.body;
+  const criteria = contestId ? { userId: user.id, contestId } : { userId: user.id };
+  const votes = storage.votes.findMany(criteria).filter(vote => !!vote.voidedAt !== voided);
+  const ballots = storage.ballots.findMany(criteria).filter(ballot => !!ballot.voidedAt !== voided);
+
+  if (votes.length === 0 && ballots.length === 0) {
+    return res.status(400).json({ error: `${user.username} has no ${voided ? 'votes to void' : 'voided votes to restore'}` });
   }
+
+  storage.transaction(() => {
+    votes.forEach(vote => setVoided('votes', vote, voided, req.user.id, reason));
+    ballots.forEach(ballot => setVoided('ballots', ballot, voided, req.user.id, reason));
+    recordAuditEntry(voided ? 'user-votes-voided' : 'user-votes-restored', req.user.id, {
+      userId: user.id,
+      targetId: user.id,
+      reason,
+      details: {
+        contestId: contestId || null,
+        voteIds: votes.map(vote => vote.id),
+        ballotIds: ballots.map(ballot => ballot.id)
+      }
+    });
+  });
+
+  res.json({
+    message: `${voided ? 'Voided' : 'Restored'} ${votes.length} ${votes.length === 1 ? 'vote' : 'votes'} and ${ballots.length} ${ballots.length === 1 ? 'ballot' : 'ballots'} of ${user.username}`,
+    votes: votes.length,
+    ballots: ballots.length
+  });
 });
 
-app.post('/api/mascots/:id/vote', authenticateToken, (req, res) => {
-  const mascotId = parseInt(req.params.id);
-  const userId = req.user.id;
+// Sets what a user is suspended from; an empty list lifts the suspension
+app.put('/api/admin/users/:id/suspension', authenticateToken, requireRole('admin'), [
+  body('suspendedFrom').isArray().withMessage(`suspendedFrom must be a list of: ${SUSPENSION_SCOPES.join(', ')}`),
+  body('suspendedFrom.*').isIn(SUSPENSION_SCOPES).withMessage(`suspendedFrom must be a list of: ${SUSPENSION_SCOPES.join(', ')}`),
+  reasonValidator
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-  // Check if mascot exists
-  const mascot = mascots.find(m => m.id === mascotId);
-  if (!mascot) {
-    return res.status(404).json({ error: 'Mascot not found' });
+  const user = storage.users.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
   }
 
-  // Check if user is trying to vote for their own mascot
-  if (mascot.userId === userId) {
-    return res.status(400).json({ error: 'You cannot vote for your own mascot' });
+  if (user.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own suspension' });
   }
 
-  // Check if user has already voted for this mascot
-  const existingVote = votes.find(v => v.userId === userId && v.mascotId === mascotId);
-  if (existingVote) {
-    return res.status(400).json({ error: 'You have already voted for this mascot' });
+  const before = user.suspendedFrom || [];
+  const suspendedFrom = SUSPENSION_SCOPES.filter(scope => req.body.suspendedFrom.includes(scope));
+  if (suspendedFrom.length === before.length && suspendedFrom.every(scope => before.includes(scope))) {
+    return res.status(400).json({ error: `${user.username}'s suspension is unchanged` });
   }
 
-  // Get client IP address
-  const clientIP = getClientIP(req);
+  const updatedUser = storage.transaction(() => {
+    recordAuditEntry(suspendedFrom.length > 0 ? 'user-suspended' : 'user-reinstated', req.user.id, {
+      userId: user.id,
+      targetId: user.id,
+      reason: req.body.reason,
+      details: { before, after: suspendedFrom }
+    });
+    return storage.users.update(user.id, { suspendedFrom });
+  });
 
-  // Record the vote
-  votes.push({
-    id: votes.length + 1,
-    userId,
-    mascotId,
-    voteIP: clientIP,
+  res.json({
+    message: suspendedFrom.length > 0
+      ? `${updatedUser.username} is suspended from ${suspendedFrom.join(' and ')}`
+      : `${updatedUser.username} is no longer suspended`,
+    user: {
+      id: updatedUser.id,
+      username: updatedUser.username,
+      email: updatedUser.email,
+      role: getUserRole(updatedUser),
+      suspendedFrom
+    }
+  });
+});
+
+// The audit log of admin actions, newest first (optional `userId` and `action` filters)
+app.get('/api/admin/audit-log', authenticateToken, requireRole('admin'), [
+  query('userId').optional().isString(),
+  query('action').optional().isIn(AUDIT_ACTIONS).withMessage(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`)
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const criteria = {};
+  ['userId', 'action'].forEach(field => {
+    if (req.query[field]) {
+      criteria[field] = req.query[field];
+    }
+  });
+
+  const username = (userId) => {
+    const user = storage.users.findById(userId);
+    return user ? user.username : 'Unknown';
+  };
+
+  const entries = storage.auditLog.findMany(criteria)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(entry => ({ ...entry, actor: username(entry.actorId), user: username(entry.userId) }));
+
+  res.json({ entries, total: entries.length });
+});
+
+// Admin endpoints to create and configure contests. The routes without a
+// contest id act on the default contest.
+const contestSettingsValidators = [
+  body('finalistCount').optional().isInt({ min: 1 }).withMessage('finalistCount must be a positive integer').toInt(),
+  body('tieBreak').optional().isIn(TIE_BREAKS).withMessage(`tieBreak must be one of: ${TIE_BREAKS.join(', ')}`),
+  body('voteBudget').optional({ nullable: true }).isInt({ min: 1 }).withMessage('voteBudget must be a positive integer or null').toInt(),
+  body('votingMode').optional().isIn(VOTING_MODES).withMessage(`votingMode must be one of: ${VOTING_MODES.join(', ')}`),
+  body('resultsVisibility').optional().isIn(RESULTS_VISIBILITIES).withMessage(`resultsVisibility must be one of: ${RESULTS_VISIBILITIES.join(', ')}`),
+  body('resultsTieBreak').optional().isIn(RESULTS_TIE_BREAKS).withMessage(`resultsTieBreak must be one of: ${RESULTS_TIE_BREAKS.join(', ')}`),
+  body('resultsOrder').optional().isArray().withMessage('resultsOrder must be an array of mascot ids'),
+  body('blindVoting').optional().isBoolean().withMessage('blindVoting must be true or false').toBoolean(),
+  ...Object.values(PHASE_START_FIELDS).map(field =>
+    body(field).optional({ nullable: true }).isISO8601().withMessage(`${field} must be an ISO 8601 date or null`)
+  )
+];
+
+// Helper function to pick the contest settings present in a request body
+const pickContestSettings = (requestBody) => {
+  const settings = {};
+  const fields = ['name', 'finalistCount', 'tieBreak', 'voteBudget', 'votingMode', 'resultsVisibility', 'resultsTieBreak', 'resultsOrder', 'blindVoting'];
+  fields.forEach(field => {
+    if (requestBody[field] !== undefined) {
+      settings[field] = requestBody[field];
+    }
+  });
+  Object.values(PHASE_START_FIELDS).forEach(field => {
+    if (requestBody[field] !== undefined) {
+      settings[field] = requestBody[field] ? new Date(requestBody[field]).toISOString() : null;
+    }
+  });
+  return settings;
+};
+
+app.post('/api/admin/contests', authenticateToken, requireRole('admin'), [
+  body('name').trim().isLength({ min: 1 }).withMessage('Contest name is required'),
+  ...contestSettingsValidators
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const settings = pickContestSettings(req.body);
+  const scheduleError = validateSchedule(settings);
+  if (scheduleError) {
+    return res.status(400).json({ error: scheduleError });
+  }
+
+  const contest = storage.contests.insert({
+    id: uuidv4(),
+    ...CONTEST_DEFAULTS,
+    submissionsOpenAt: null,
+    votingOpenAt: null,
+    closedAt: null,
+    ...settings,
     createdAt: new Date().toISOString()
   });
 
-  // Update mascot vote count
-  mascot.votes += 1;
-  saveData('mascots');
-  saveData('votes');
+  res.status(201).json({
+    message: 'Contest created successfully',
+    contest: describeContest(contest)
+  });
+});
 
-  res.json({ 
-    success: true, 
-    message: `Vote recorded for ${mascot.name}`,
-    mascotId,
-    newVoteCount: mascot.votes
+app.put(['/api/admin/contest', '/api/admin/contests/:contestId'], authenticateToken, requireRole('admin'), loadContest, [
+  body('name').optional().trim().isLength({ min: 1 }).withMessage('Contest name cannot be empty'),
+  ...contestSettingsValidators
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { contest } = req;
+  const changes = pickContestSettings(req.body);
+
+  const scheduleError = validateSchedule({ ...contest, ...changes });
+  if (scheduleError) {
+    return res.status(400).json({ error: scheduleError });
+  }
+
+  const updatedContest = storage.contests.update(contest.id, changes);
+  res.json({
+    message: 'Contest updated successfully',
+    contest: describeContest(updatedContest)
   });
 });
 
-// Get user's voting history
-app.get('/api/user/votes', authenticateToken, (req, res) => {
-  const userVotes = votes.filter(v => v.userId === req.user.id);
-  res.json(userVotes);
+// Move the contest to a phase immediately
+app.post(['/api/admin/contest/phase', '/api/admin/contests/:contestId/phase'], authenticateToken, requireRole('admin'), loadContest, [
+  body('phase').isIn(PHASES).withMessage(`Phase must be one of: ${PHASES.join(', ')}`)
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { contest } = req;
+  const updatedContest = storage.contests.update(contest.id, scheduleForPhase(contest, req.body.phase));
+
+  res.json({
+    message: `Contest moved to ${req.body.phase}`,
+    contest: describeContest(updatedContest)
+  });
 });
 
-// Remove a vote for a specific mascot
-app.delete('/api/mascots/:id/vote', authenticateToken, (req, res) => {
-  const mascotId = parseInt(req.params.id);
-  const userId = req.user.id;
+// Close round 1 and start the final round with the top mascots. Round 1 vote
+// counts are kept on each mascot as round1Votes; the final round starts at 0.
+// Only while voting is open, so finalists are picked from actual votes.
+app.post(['/api/admin/contest/final-round', '/api/admin/contests/:contestId/final-round'], authenticateToken, requireRole('admin'), loadContest, requirePhase('voting'), [
+  body('finalistCount').optional().isInt({ min: 1 }).withMessage('finalistCount must be a positive integer').toInt(),
+  body('tieBreak').optional().isIn(TIE_BREAKS).withMessage(`tieBreak must be one of: ${TIE_BREAKS.join(', ')}`),
+  body('finalistIds').optional().isArray().withMessage('finalistIds must be an array of mascot ids')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-  // Check if mascot exists
-  const mascot = mascots.find(m => m.id === mascotId);
-  if (!mascot) {
-    return res.status(404).json({ error: 'Mascot not found' });
+  const { contest } = req;
+  if (contest.round >= FINAL_ROUND) {
+    return res.status(400).json({ error: 'The final round has already started' });
   }
 
-  // Find the vote
-  const voteIndex = votes.findIndex(v => v.userId === userId && v.mascotId === mascotId);
-  if (voteIndex === -1) {
-    return res.status(404).json({ error: 'Vote not found' });
+  if (contest.votingMode === 'ranked') {
+    return res.status(400).json({ error: 'Ranked-choice contests are decided by instant runoff in a single round' });
   }
 
-  try {
-    // Remove the vote
-    votes.splice(voteIndex, 1);
-    saveData('votes');
+  const finalistCount = req.body.finalistCount || contest.finalistCount;
+  const tieBreak = req.body.tieBreak || contest.tieBreak;
+  const mascots = getContestEntries(contest.id);
 
-    // Update mascot vote count
-    mascot.votes = Math.max(0, mascot.votes - 1);
-    saveData('mascots');
+  const { finalists, tied, openSpots } = selectFinalists(mascots, {
+    count: finalistCount,
+    tieBreak,
+    chosenIds: req.body.finalistIds
+  });
 
-    res.json({ 
-      success: true, 
-      message: `Vote removed for ${mascot.name}`,
-      mascotId,
-      newVoteCount: mascot.votes
+  if (!finalists) {
+    return res.status(409).json({
+      error: `${tied.length} mascots are tied for the last ${openSpots} finalist spot(s). Pass the chosen ones in finalistIds.`,
+      openSpots,
+      tied: tied.map(mascot => ({ id: mascot.id, name: mascot.name, votes: mascot.votes }))
     });
-  } catch (error) {
-    console.error('Error removing vote:', error);
-    res.status(500).json({ error: 'Failed to remove vote' });
   }
+
+  const finalistIds = finalists.map(mascot => mascot.id);
+  const updatedContest = storage.transaction(() => {
+    mascots.forEach(mascot => {
+      storage.mascots.update(mascot.id, { round1Votes: mascot.votes, votes: 0 });
+    });
+
+    return storage.contests.update(contest.id, {
+      round: FINAL_ROUND,
+      finalistCount,
+      tieBreak,
+      finalistIds,
+      finalRoundStartedAt: new Date().toISOString()
+    });
+  });
+
+  res.json({
+    message: `Final round started with ${finalistIds.length} finalists`,
+    finalists: finalists.map(mascot => ({ id: mascot.id, name: mascot.name, round1Votes: mascot.votes })),
+    contest: describeContest(updatedContest)
+  });
 });
 
-// Get current user info
-app.get('/api/user/me', authenticateToken, (req, res) => {
-  const user = users.find(u => u.id === req.user.id);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+// Helper function to find the image files of a mascot snapshot in a revision,
+// with null for any that are missing
+const findSnapshotImageFiles = (snapshot) => mascotImageSets(snapshot).flatMap(imageSetFiles).map(findImageFile);
+
+// Helper function to describe a revision for admins. The full-size image is
+// served by the revision image endpoint, since archived images are not public.
+const describeRevision = (req, revision) => {
+  const actor = revision.actorId ? storage.users.findById(revision.actorId) : null;
+  return {
+    ...revision,
+    actor: actor ? actor.username : null,
+    imageUrl: revision.snapshot.imageUrl
+      ? absoluteUrl(req, `/api/admin/revisions/${revision.id}/image`)
+      : null,
+    imageAvailable: !!revision.snapshot.imageUrl && findSnapshotImageFiles(revision.snapshot).every(Boolean)
+  };
+};
+
+// Revision middleware: sets req.revision from the :revisionId param
+const loadRevision = (req, res, next) => {
+  const revision = storage.revisions.findById(req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+
+  req.revision = revision;
+  next();
+};
+
+// Admin endpoints for the submission history. Deleted mascots keep their
+// revisions, so these work whether or not the mascot still exists.
+app.get('/api/admin/mascots/:id/revisions', authenticateToken, requireRole('admin'), (req, res) => {
+  const revisions = storage.revisions.findMany({ mascotId: req.params.id }).sort(byRevisionNumber);
+  if (revisions.length === 0) {
+    return res.status(404).json({ error: 'No revisions found for this mascot' });
   }
 
-  const userMascot = mascots.find(m => m.userId === req.user.id);
-  
   res.json({
-    id: user.id,
-    username: user.username,
-    email: user.email,
-    hasMascot: !!userMascot,
-    mascot: userMascot ? {
-      ...userMascot,
-      imageUrl: userMascot.imageUrl ? `${req.protocol}://${req.get('host')}${userMascot.imageUrl}` : null
-    } : null
+    mascotId: req.params.id,
+    deleted: !storage.mascots.findById(req.params.id),
+    revisions: revisions.map(revision => describeRevision(req, revision))
   });
 });
 
-// Delete user account (only own account)
-app.delete('/api/user/me', authenticateToken, (req, res) => {
-  const userId = req.user.id;
-
-  try {
-    // Find user index
-    const userIndex = users.findIndex(u => u.id === userId);
-    if (userIndex === -1) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+app.get('/api/admin/revisions/:revisionId', authenticateToken, requireRole('admin'), loadRevision, (req, res) => {
+  res.json({ revision: describeRevision(req, req.revision) });
+});
 
-    const user = users[userIndex];
+app.get('/api/admin/revisions/:revisionId/image', authenticateToken, requireRole('admin'), loadRevision, (req, res) => {
+  const imageSet = mapImageSet(req.revision.snapshot.imageUrl, urlPath => urlPath);
+  const imagePath = imageSet && findImageFile(imageSet.full);
+  if (!imagePath) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
 
-    // Find and delete user's mascot (if any) and its image
-    const userMascot = mascots.find(m => m.userId === userId);
-    if (userMascot) {
-      // Delete associated image file
-      if (userMascot.imageUrl) {
-        const imagePath = path.join(__dirname, 'uploads', path.basename(userMascot.imageUrl));
-        if (fs.existsSync(imagePath)) {
-          fs.unlinkSync(imagePath);
-          console.log(`Deleted user's mascot image: ${imagePath}`);
-        }
-      }
+  res.sendFile(imagePath);
+});
 
-      // Remove mascot from array
-      const mascotIndex = mascots.findIndex(m => m.id === userMascot.id);
-      if (mascotIndex !== -1) {
-        mascots.splice(mascotIndex, 1);
-        saveData('mascots');
-      }
+// Put a mascot back to the state of one of its revisions, re-creating it if it
+// was deleted. Votes are not part of a revision, so a re-created mascot starts
+// from zero.
+app.post('/api/admin/revisions/:revisionId/restore', authenticateToken, requireRole('admin'), loadRevision, (req, res) => {
+  const { revision } = req;
+  const { snapshot } = revision;
+  const mascot = storage.mascots.findById(revision.mascotId);
+  // Revisions recorded before drafts existed are all of submitted mascots, and
+  // those recorded before moderation of approved ones
+  const status = snapshot.status || 'submitted';
+  const moderationStatus = snapshot.moderationStatus || (status === 'submitted' ? 'approved' : null);
 
-      // Remove all votes for user's mascot
-      votes = votes.filter(v => v.mascotId !== userMascot.id);
+  if (!mascot) {
+    if (!getContest(snapshot.contestId)) {
+      return res.status(409).json({ error: 'The contest of this mascot no longer exists' });
+    }
+    if (!storage.users.findById(snapshot.userId)) {
+      return res.status(409).json({ error: 'The owner of this mascot no longer has an account' });
     }
+    if (storage.mascots.findOne({ userId: snapshot.userId, contestId: snapshot.contestId, status })) {
+      return res.status(409).json({ error: 'The owner has submitted another mascot to this contest since' });
+    }
+  }
 
-    // Remove all votes made by this user
-    const initialVotesLength = votes.length;
-    votes = votes.filter(v => v.userId !== userId);
-    const removedVotesCount = initialVotesLength - votes.length;
-    
-    if (removedVotesCount > 0) {
-      saveData('votes');
+  // Archived images go back to the uploads; the archived copy stays with the history
+  const imagePaths = findSnapshotImageFiles(snapshot);
+  if (!imagePaths.every(Boolean)) {
+    return res.status(409).json({ error: 'An image of this revision is missing' });
+  }
+  imagePaths.forEach(imagePath => {
+    if (path.dirname(imagePath) === revisionImagesDir) {
+      fs.copyFileSync(imagePath, path.join(uploadsDir, path.basename(imagePath)));
     }
+  });
 
-    // Remove user
-    users.splice(userIndex, 1);
-    saveData('users');
+  const imageChanged = (result) => imageSetFiles(mascot.imageUrl).join() !== imageSetFiles(result.imageUrl).join();
 
-    res.json({ 
-      message: 'Account deleted successfully',
-      deletedUser: user.username,
-      deletedMascot: userMascot ? userMascot.name : null,
-      removedVotes: removedVotesCount
-    });
-  } catch (error) {
-    console.error('Error deleting user account:', error);
-    res.status(500).json({ error: 'Failed to delete account' });
+  const restored = {};
+  RESTORED_FIELDS.forEach(field => {
+    restored[field] = snapshot[field] === undefined ? null : snapshot[field];
+  });
+
+  const restoredMascot = storage.transaction(() => {
+    const result = mascot
+      ? storage.mascots.update(mascot.id, { ...restored, updatedAt: new Date().toISOString() })
+      : storage.mascots.insert({
+        ...snapshot,
+        id: revision.mascotId,
+        status,
+        moderationStatus,
+        votes: 0,
+        updatedAt: new Date().toISOString()
+      });
+    recordRevision(result, 'restored', req.user.id, { restoredFrom: revision.id });
+    if (!mascot || imageChanged(result)) {
+      flagDuplicateImages(result);
+    }
+    return result;
+  });
+
+  if (mascot) {
+    archiveReplacedImages(mascot, restoredMascot);
   }
+
+  res.json({
+    message: `Mascot restored to revision ${revision.number}`,
+    mascot: {
+      ...restoredMascot,
+      ...mascotImageUrls(req, restoredMascot)
+    }
+  });
 });
 
+// Helper function to send every contest back to round 1 once the entries are gone
+const resetRounds = () => {
+  storage.contests.all().forEach(contest => {
+    storage.contests.update(contest.id, { round: 1, finalistIds: [], finalRoundStartedAt: null });
+  });
+};
+
 // Admin endpoints to clear databases (for development/testing)
-app.delete('/api/admin/clear/mascots', (req, res) => {
-  mascots.length = 0; // Clear mascots array
-  saveData('mascots');
+
+// Cleared mascots keep their history, like mascots deleted one by one
+const recordClearedMascots = (actorId) => {
+  storage.mascots.all().forEach(mascot => recordRevision(mascot, 'deleted', actorId));
+};
+
+app.delete('/api/admin/clear/mascots', authenticateToken, requireRole('admin'), (req, res) => {
+  storage.transaction(() => {
+    recordClearedMascots(req.user.id);
+    storage.mascots.clear();
+    storage.duplicateFlags.clear();
+    storage.reports.clear();
+    resetRounds();
+  });
   res.json({ message: 'All mascots cleared successfully' });
 });
 
-app.delete('/api/admin/clear/votes', (req, res) => {
-  votes.length = 0; // Clear votes array
-  saveData('votes');
+app.delete('/api/admin/clear/votes', authenticateToken, requireRole('admin'), (req, res) => {
+  storage.transaction(() => {
+    storage.votes.clear();
+    storage.ballots.clear();
+    storage.mascots.all().forEach(mascot => recountVotes(mascot.id));
+  });
   res.json({ message: 'All votes cleared successfully' });
 });
 
-app.delete('/api/admin/clear/all', (req, res) => {
-  mascots.length = 0; // Clear mascots array
-  votes.length = 0;   // Clear votes array
-  saveData('mascots');
-  saveData('votes');
+app.delete('/api/admin/clear/all', authenticateToken, requireRole('admin'), (req, res) => {
+  storage.transaction(() => {
+    recordClearedMascots(req.user.id);
+    storage.mascots.clear();
+    storage.duplicateFlags.clear();
+    storage.reports.clear();
+    storage.votes.clear();
+    storage.ballots.clear();
+    resetRounds();
+  });
   res.json({ message: 'All mascots and votes cleared successfully' });
 });
 
 // Admin endpoint to view IP tracking data
-app.get('/api/admin/ip-tracking', (req, res) => {
+app.get('/api/admin/ip-tracking', authenticateToken, requireRole('admin'), (req, res) => {
   const ipTrackingData = {
-    userRegistrations: users.map(user => ({
+    userRegistrations: storage.users.all().map(user => ({
       id: user.id,
       username: user.username,
       email: user.email,
+      role: getUserRole(user),
       registrationIP: user.registrationIP,
       createdAt: user.createdAt
     })),
-    mascotSubmissions: mascots.map(mascot => ({
+    mascotSubmissions: storage.mascots.all().map(mascot => ({
       id: mascot.id,
       name: mascot.name,
       userId: mascot.userId,
+      contestId: mascot.contestId,
       submissionIP: mascot.submissionIP,
       createdAt: mascot.createdAt
     })),
-    votes: votes.map(vote => ({
+    votes: storage.votes.all().map(vote => ({
       id: vote.id,
       userId: vote.userId,
       mascotId: vote.mascotId,
+      contestId: vote.contestId,
+      round: vote.round,
       voteIP: vote.voteIP,
+      voidedAt: vote.voidedAt || null,
       createdAt: vote.createdAt
     }))
   };
@@ -647,13 +2499,92 @@ app.get('/api/admin/ip-tracking', (req, res) => {
   });
 });
 
+// Admin endpoint that analyses the IP tracking data for signs of vote fraud.
+// Each threshold can be overridden with a query parameter of the same name.
+// Voided votes and ballots are left out, since they no longer count.
+app.get('/api/admin/fraud-report', authenticateToken, requireRole('admin'), [
+  query('contestId').optional().isString(),
+  query('minSeverity').optional().isIn(FRAUD_SEVERITIES).withMessage(`minSeverity must be one of: ${FRAUD_SEVERITIES.join(', ')}`),
+  query('accountsPerIP').optional().isInt({ min: 2 }).withMessage('accountsPerIP must be at least 2').toInt(),
+  query('burstVotes').optional().isInt({ min: 2 }).withMessage('burstVotes must be at least 2').toInt(),
+  query('burstWindowMinutes').optional().isInt({ min: 1 }).withMessage('burstWindowMinutes must be a positive integer').toInt(),
+  query('newAccountHours').optional().isInt({ min: 1 }).withMessage('newAccountHours must be a positive integer').toInt()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const contestId = req.query.contestId || null;
+  const inContest = contestId ? { contestId } : {};
+  const thresholds = { ...DEFAULT_FRAUD_THRESHOLDS };
+  Object.keys(thresholds).forEach(name => {
+    if (req.query[name] !== undefined) {
+      thresholds[name] = req.query[name];
+    }
+  });
+
+  // The same fields /api/admin/ip-tracking exposes, so no password hashes
+  const users = storage.users.all().map(user => ({
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    registrationIP: user.registrationIP,
+    createdAt: user.createdAt
+  }));
+  const mascots = storage.mascots.findMany({ ...inContest, status: 'submitted' }).map(mascot => ({
+    id: mascot.id,
+    name: mascot.name,
+    userId: mascot.userId,
+    contestId: mascot.contestId,
+    submissionIP: mascot.submissionIP,
+    createdAt: mascot.createdAt
+  }));
+
+  const minRank = FRAUD_SEVERITIES.indexOf(req.query.minSeverity || 'low');
+  const findings = analyzeVoteFraud({
+    users,
+    mascots,
+    votes: storage.votes.findMany({ ...inContest, voidedAt: null }),
+    ballots: storage.ballots.findMany({ ...inContest, voidedAt: null })
+  }, thresholds).filter(finding => FRAUD_SEVERITIES.indexOf(finding.severity) >= minRank);
+
+  const summary = {};
+  FRAUD_SEVERITIES.forEach(severity => {
+    summary[severity] = findings.filter(finding => finding.severity === severity).length;
+  });
+
+  res.json({
+    generatedAt: new Date().toISOString(),
+    contestId,
+    thresholds,
+    summary,
+    findings
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
   
+  if (err instanceof StorageConflictError) {
+    return res.status(409).json({ error: 'This record conflicts with an existing one' });
+  }
+
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File size too large. Maximum size is 5MB.' });
+      return res.status(400).json({
+        error: `File size too large. Maximum size is ${Math.round(maxFileSize / (1024 * 1024))}MB.`,
+        code: 'FILE_TOO_LARGE',
+        maxFileSize
+      });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        error: `Unexpected file in the ${err.field} field. Each field takes a limited number of images.`,
+        code: 'UNEXPECTED_FILE',
+        field: err.field
+      });
     }
   }
   
@@ -689,6 +2620,34 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Mascots uploaded before images were hashed get their hash, and any duplicate
+// flags, in the background once the server starts
+const backfillImageHashes = async () => {
+  const unhashed = storage.mascots.all().filter(mascot => mascot.imageUrl && !mascot.imageHash);
+
+  for (const mascot of unhashed) {
+    const imagePath = findImageFile(mapImageSet(mascot.imageUrl, urlPath => urlPath).full);
+    if (!imagePath) {
+      continue;
+    }
+
+    try {
+      const imageHash = await computeImageHash(imagePath);
+      storage.transaction(() => {
+        // Skip mascots that got a new image while this one was being hashed
+        const current = storage.mascots.findById(mascot.id);
+        if (current && !current.imageHash && imageSetFiles(current.imageUrl).join() === imageSetFiles(mascot.imageUrl).join()) {
+          flagDuplicateImages(storage.mascots.update(mascot.id, { imageHash }));
+        }
+      });
+    } catch (error) {
+      console.error(`Could not hash the image of mascot ${mascot.id}:`, error.message);
+    }
+  }
+};
+
+backfillImageHashes().catch(error => console.error('Error hashing existing images:', error));
+
 app.listen(PORT, HOST, () => {
   console.log(`🚀 Backend server is running on http://${HOST}:${PORT}`);
   console.log(`📡 API endpoints available at http://${HOST}:${PORT}/api`);
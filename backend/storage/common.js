@@ -0,0 +1,45 @@
+// Collections every storage driver must provide. `unique` lists the groups of
+// fields that may not repeat across records of the same collection.
+const COLLECTIONS = {
+  users: { unique: [['email'], ['username']] },
+  mascots: { unique: [] },
+  votes: { unique: [['userId', 'mascotId', 'round']] },
+  ballots: { unique: [['userId', 'contestId', 'round']] },
+  contests: { unique: [] },
+  revisions: { unique: [['mascotId', 'number']] },
+  duplicateFlags: { unique: [['mascotId', 'matchedMascotId']] },
+  reports: { unique: [['mascotId', 'userId']] },
+  auditLog: { unique: [] }
+};
+
+// Users created the first time the storage is initialized
+const DEFAULT_USERS = [{
+  username: 'demo',
+  email: 'demo@example.com',
+  password: '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi' // 'password'
+}];
+
+// Thrown by drivers when a write would break a unique constraint
+class StorageConflictError extends Error {
+  constructor(collection, detail) {
+    super(`Conflicting record in ${collection}${detail ? `: ${detail}` : ''}`);
+    this.name = 'StorageConflictError';
+    this.collection = collection;
+  }
+}
+
+// Criteria are plain objects matched field by field; null matches missing fields
+const matchesCriteria = (record, criteria = {}) => {
+  return Object.keys(criteria).every(field => {
+    const expected = criteria[field] === undefined ? null : criteria[field];
+    const actual = record[field] === undefined ? null : record[field];
+    return actual === expected;
+  });
+};
+
+module.exports = {
+  COLLECTIONS,
+  DEFAULT_USERS,
+  StorageConflictError,
+  matchesCriteria
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const { COLLECTIONS, StorageConflictError } = require('./common');
+const { loadCollections } = require('./json');
+const { migrateRecords } = require('./migrateIds');
+
+// Copies the data written by the JSON driver (data/<collection>.json plus any
+// journal entries not yet applied to them) into the given storage. The files
+// are left untouched so they can serve as a backup. Numeric ids are migrated
+// to uuids first, as the old ids may repeat and the storage would reject all
+// but one record with each. Records that still clash with one already
+// imported (e.g. a reused email) are skipped and reported.
+const importJsonData = (storage, dataDir) => {
+  const { files, records, replayed } = loadCollections(dataDir);
+  const summary = {
+    imported: {},
+    skipped: {},
+    migrated: null,
+    found: replayed > 0 || Object.values(files).some(file => fs.existsSync(file))
+  };
+
+  const migrated = migrateRecords(records);
+  if (migrated) {
+    Object.assign(records, migrated.records);
+    summary.migrated = migrated.summary;
+  }
+
+  storage.transaction(() => {
+    Object.keys(COLLECTIONS).forEach(name => {
+      summary.imported[name] = 0;
+      summary.skipped[name] = 0;
+
+      records[name].forEach(record => {
+        try {
+          storage[name].insert(record);
+          summary.imported[name] += 1;
+        } catch (error) {
+          if (!(error instanceof StorageConflictError)) {
+            throw error;
+          }
+          summary.skipped[name] += 1;
+          console.warn(`Skipped ${name} record ${record.id} during JSON import: ${error.message}`);
+        }
+      });
+    });
+  });
+
+  return summary;
+};
+
+module.exports = { importJsonData };
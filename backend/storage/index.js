@@ -0,0 +1,66 @@
+const { COLLECTIONS, DEFAULT_USERS, StorageConflictError } = require('./common');
+const { v4: uuidv4 } = require('uuid');
+const { importJsonData } = require('./importJson');
+const { migrateLegacyIds } = require('./migrateIds');
+
+// Storage drivers. Each exposes one repository per collection in COLLECTIONS:
+//
+//   all()                    every record, in insertion order
+//   findById(id)             a record or null
+//   findOne(criteria)        first record matching criteria, or null
+//   findMany(criteria)       records matching criteria
+//   count(criteria)          number of matching records
+//   insert(record)           stores a new record (throws StorageConflictError)
+//   update(id, changes)      shallow-merges changes, returns the record or null
+//   remove(id)               true if a record was removed
+//   removeMany(criteria)     number of records removed
+//   clear()                  removes every record
+//
+// plus transaction(fn), which runs fn atomically, and close().
+const DRIVERS = {
+  sqlite: './sqlite',
+  json: './json'
+};
+
+const createStorage = ({ driver = 'sqlite', dataDir, filename }) => {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown storage driver "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  const { openStorage } = require(DRIVERS[driver]);
+  const storage = openStorage({ dataDir, filename });
+
+  if (storage.isNew) {
+    storage.transaction(() => {
+      // Bring over data written by the JSON driver on first boot
+      if (driver !== 'json') {
+        const summary = importJsonData(storage, dataDir);
+        if (summary.found) {
+          console.log('📦 Imported JSON data:', summary.imported);
+          if (summary.migrated) {
+            console.log('🆔 Migrated numeric ids to uuids:', summary.migrated);
+          }
+        }
+      }
+
+      if (storage.users.count() === 0) {
+        DEFAULT_USERS.forEach(user => storage.users.insert({ ...user, id: uuidv4() }));
+      }
+
+      storage.markInitialized();
+    });
+  }
+
+  const migrated = migrateLegacyIds(storage);
+  if (migrated) {
+    console.log('🆔 Migrated numeric ids to uuids:', migrated);
+  }
+
+  return storage;
+};
+
+module.exports = {
+  createStorage,
+  COLLECTIONS,
+  StorageConflictError
+};
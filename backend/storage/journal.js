@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+// Makes a rename or new file durable by flushing its directory entry. Not
+// supported on every platform, so failures are ignored.
+const fsyncDirectory = (dir) => {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Directory fsync is best effort
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+};
+
+// Writes to a temporary file in the same directory, flushes it and renames it
+// over the target, so readers see either the old or the new contents.
+const writeFileAtomic = (file, contents) => {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempFile, 'w');
+
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tempFile, file);
+  fsyncDirectory(path.dirname(file));
+};
+
+// Append-only log of committed changes, one JSON entry per line. Each change
+// holds the full resulting state ({ collection, put: record },
+// { collection, remove: id } or { collection, clear: true }), so replaying an
+// entry that the data files already reflect leaves them unchanged.
+const createJournal = (file) => {
+  let sequence = 0;
+
+  // Returns the entries in the journal. A torn last line means the process died
+  // mid-append, before that entry was acknowledged, so it is dropped.
+  const read = () => {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        if (index !== lines.length - 1) {
+          throw new Error(`Corrupt journal entry on line ${index + 1} of ${file}`);
+        }
+        console.warn(`Ignoring incomplete last entry in ${file}`);
+      }
+    });
+
+    sequence = entries.reduce((max, entry) => Math.max(max, entry.seq || 0), sequence);
+    return entries;
+  };
+
+  const append = (changes) => {
+    sequence += 1;
+    const entry = { seq: sequence, at: new Date().toISOString(), changes };
+    const fd = fs.openSync(file, 'a');
+
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return entry;
+  };
+
+  const size = () => (fs.existsSync(file) ? fs.statSync(file).size : 0);
+
+  // Empties the journal once every entry is reflected in the data files
+  const reset = () => {
+    writeFileAtomic(file, '');
+  };
+
+  return { file, read, append, size, reset };
+};
+
+// Applies journal changes to in-memory collections ({ users: [...], ... })
+const applyChanges = (records, changes) => {
+  changes.forEach(change => {
+    const list = records[change.collection];
+    if (!list) {
+      return;
+    }
+
+    if (change.clear) {
+      records[change.collection] = [];
+    } else if (change.put) {
+      const index = list.findIndex(r => r.id === change.put.id);
+      if (index === -1) {
+        list.push(change.put);
+      } else {
+        list[index] = change.put;
+      }
+    } else if (change.remove !== undefined) {
+      records[change.collection] = list.filter(r => r.id !== change.remove);
+    }
+  });
+};
+
+module.exports = {
+  writeFileAtomic,
+  createJournal,
+  applyChanges
+};
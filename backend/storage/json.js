@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, StorageConflictError, matchesCriteria } = require('./common');
+const { writeFileAtomic, createJournal, applyChanges } = require('./journal');
+
+// Legacy driver: keeps every collection in memory and mirrors it to
+// data/<collection>.json. Only safe for a single server instance.
+//
+// Every commit is first appended to data/journal.log and only then written to
+// the collection files, each one atomically. If the process dies between two
+// file writes, replaying the journal on the next start restores a consistent
+// state. The journal is compacted into the files on startup and whenever it
+// grows past JOURNAL_COMPACT_BYTES.
+
+// Journal size after which it is compacted into the data files
+const JOURNAL_COMPACT_BYTES = 1024 * 1024;
+
+const clone = (record) => JSON.parse(JSON.stringify(record));
+
+const readCollection = (file) => {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const contents = fs.readFileSync(file, 'utf8');
+  return contents.trim() ? JSON.parse(contents) : [];
+};
+
+// Reads the collection files and replays the journal on top of them
+const loadCollections = (dataDir) => {
+  const files = {};
+  const records = {};
+
+  Object.keys(COLLECTIONS).forEach(name => {
+    files[name] = path.join(dataDir, `${name}.json`);
+    records[name] = readCollection(files[name]);
+  });
+
+  const journal = createJournal(path.join(dataDir, 'journal.log'));
+  const entries = journal.read();
+  entries.forEach(entry => applyChanges(records, entry.changes));
+
+  return { files, records, journal, replayed: entries.length };
+};
+
+const openStorage = ({ dataDir }) => {
+  const { files, records, journal, replayed } = loadCollections(dataDir);
+
+  const writeCollection = (name) => {
+    writeFileAtomic(files[name], JSON.stringify(records[name], null, 2));
+  };
+
+  // Brings every collection file up to date and empties the journal
+  const compact = () => {
+    Object.keys(COLLECTIONS).forEach(writeCollection);
+    journal.reset();
+  };
+
+  if (replayed > 0) {
+    console.log(`🔁 Replayed ${replayed} journal entries from ${journal.file}`);
+    compact();
+  }
+
+  let isNew = !fs.existsSync(files.users);
+  let transactionDepth = 0;
+  let pending = [];
+
+  const commit = (changes) => {
+    if (changes.length === 0) {
+      return;
+    }
+
+    journal.append(changes);
+
+    const touched = new Set(changes.map(change => change.collection));
+    touched.forEach(writeCollection);
+
+    if (journal.size() > JOURNAL_COMPACT_BYTES) {
+      compact();
+    }
+  };
+
+  const record = (changes) => {
+    if (transactionDepth > 0) {
+      pending.push(...changes);
+      return;
+    }
+    commit(changes);
+  };
+
+  const assertUnique = (name, candidate) => {
+    COLLECTIONS[name].unique.forEach(fields => {
+      const criteria = {};
+      fields.forEach(field => { criteria[field] = candidate[field]; });
+
+      const conflict = records[name].find(r => r.id !== candidate.id && matchesCriteria(r, criteria));
+      if (conflict) {
+        throw new StorageConflictError(name, fields.join(', '));
+      }
+    });
+  };
+
+  const createRepository = (name) => {
+    const list = () => records[name];
+
+    return {
+      all: () => list().map(clone),
+
+      findById: (id) => {
+        const found = list().find(r => r.id === id);
+        return found ? clone(found) : null;
+      },
+
+      findOne: (criteria) => {
+        const found = list().find(r => matchesCriteria(r, criteria));
+        return found ? clone(found) : null;
+      },
+
+      findMany: (criteria) => list().filter(r => matchesCriteria(r, criteria)).map(clone),
+
+      count: (criteria) => list().filter(r => matchesCriteria(r, criteria)).length,
+
+      insert: (newRecord) => {
+        if (list().some(r => r.id === newRecord.id)) {
+          throw new StorageConflictError(name, 'id');
+        }
+        assertUnique(name, newRecord);
+        list().push(clone(newRecord));
+        record([{ collection: name, put: clone(newRecord) }]);
+        return clone(newRecord);
+      },
+
+      update: (id, changes) => {
+        const index = list().findIndex(r => r.id === id);
+        if (index === -1) {
+          return null;
+        }
+
+        const updated = { ...list()[index], ...clone(changes), id };
+        assertUnique(name, updated);
+        list()[index] = updated;
+        record([{ collection: name, put: clone(updated) }]);
+        return clone(updated);
+      },
+
+      remove: (id) => {
+        const index = list().findIndex(r => r.id === id);
+        if (index === -1) {
+          return false;
+        }
+
+        list().splice(index, 1);
+        record([{ collection: name, remove: id }]);
+        return true;
+      },
+
+      removeMany: (criteria) => {
+        const removed = list().filter(r => matchesCriteria(r, criteria));
+        if (removed.length > 0) {
+          records[name] = list().filter(r => !matchesCriteria(r, criteria));
+          record(removed.map(r => ({ collection: name, remove: r.id })));
+        }
+        return removed.length;
+      },
+
+      clear: () => {
+        records[name] = [];
+        record([{ collection: name, clear: true }]);
+      }
+    };
+  };
+
+  // Runs fn against the in-memory collections, restoring them if it throws.
+  // Its changes are journaled as a single entry when the outermost
+  // transaction completes.
+  const transaction = (fn) => {
+    const snapshot = transactionDepth === 0 ? clone(records) : null;
+    transactionDepth += 1;
+
+    try {
+      const result = fn();
+      transactionDepth -= 1;
+      if (transactionDepth === 0) {
+        const changes = pending;
+        pending = [];
+        commit(changes);
+      }
+      return result;
+    } catch (error) {
+      transactionDepth -= 1;
+      if (snapshot) {
+        Object.assign(records, snapshot);
+        pending = [];
+      }
+      throw error;
+    }
+  };
+
+  const storage = {
+    driver: 'json',
+    get isNew() {
+      return isNew;
+    },
+    markInitialized: () => {
+      isNew = false;
+    },
+    transaction,
+    close: () => {}
+  };
+
+  Object.keys(COLLECTIONS).forEach(name => {
+    storage[name] = createRepository(name);
+  });
+
+  return storage;
+};
+
+module.exports = { openStorage, loadCollections };
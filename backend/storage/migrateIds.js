@@ -0,0 +1,111 @@
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+
+// One-time migration from the sequential numeric ids (array length + 1) to
+// uuids. Every record gets a new id, keeps its old one as `legacyId`, and the
+// userId/mascotId references are rewritten to point at the new ids.
+//
+// Sequential ids could be reused after a deletion, so several records may share
+// an old id. References to such an id are resolved to the first record that
+// has it, which is the record the old server code found as well.
+
+const MIGRATED_COLLECTIONS = ['users', 'mascots', 'votes'];
+
+const needsMigration = (records) => {
+  return MIGRATED_COLLECTIONS.some(name => {
+    return records[name].some(record => !isUuid(String(record.id)));
+  });
+};
+
+// Migrates plain { users, mascots, votes } arrays without storing anything, so
+// it can also run on imported data before a driver with a primary key sees the
+// duplicate ids. Returns the migrated arrays and a summary, or null when every
+// id already is a uuid.
+const migrateRecords = (records) => {
+  if (!needsMigration(records)) {
+    return null;
+  }
+
+  const summary = { users: 0, mascots: 0, votes: 0, ambiguous: 0, droppedVotes: 0 };
+  const idMaps = { users: new Map(), mascots: new Map() };
+
+  const assignIds = (name) => {
+    return records[name].map(record => {
+      if (isUuid(String(record.id))) {
+        return record;
+      }
+
+      const newId = uuidv4();
+      if (idMaps[name]) {
+        if (idMaps[name].has(record.id)) {
+          summary.ambiguous += 1;
+          console.warn(`Duplicate ${name} id ${record.id}; references will point to the first record`);
+        } else {
+          idMaps[name].set(record.id, newId);
+        }
+      }
+      summary[name] += 1;
+      return { ...record, id: newId, legacyId: record.id };
+    });
+  };
+
+  const remap = (name, value) => (idMaps[name].has(value) ? idMaps[name].get(value) : value);
+
+  const users = assignIds('users');
+  const mascots = assignIds('mascots').map(mascot => ({
+    ...mascot,
+    userId: remap('users', mascot.userId)
+  }));
+
+  // Two votes can collapse into one when their users shared an old id
+  const seen = new Set();
+  const votes = assignIds('votes')
+    .map(vote => ({
+      ...vote,
+      userId: remap('users', vote.userId),
+      mascotId: remap('mascots', vote.mascotId)
+    }))
+    .filter(vote => {
+      const key = `${vote.userId}:${vote.mascotId}:${vote.round}`;
+      if (seen.has(key)) {
+        summary.droppedVotes += 1;
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+  // Keep the denormalized counters in line with the surviving votes
+  const countedMascots = mascots.map(mascot => ({
+    ...mascot,
+    votes: votes.filter(vote => vote.mascotId === mascot.id).length
+  }));
+
+  return { records: { users, mascots: countedMascots, votes }, summary };
+};
+
+const migrateLegacyIds = (storage) => {
+  let summary = null;
+
+  storage.transaction(() => {
+    const records = {};
+    MIGRATED_COLLECTIONS.forEach(name => { records[name] = storage[name].all(); });
+
+    const migrated = migrateRecords(records);
+    if (!migrated) {
+      return;
+    }
+
+    storage.votes.clear();
+    storage.mascots.clear();
+    storage.users.clear();
+
+    MIGRATED_COLLECTIONS.forEach(name => {
+      migrated.records[name].forEach(record => storage[name].insert(record));
+    });
+    summary = migrated.summary;
+  });
+
+  return summary;
+};
+
+module.exports = { migrateRecords, migrateLegacyIds };
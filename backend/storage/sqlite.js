@@ -0,0 +1,179 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+const { COLLECTIONS, StorageConflictError } = require('./common');
+
+// Each collection is a table of JSON documents keyed by id. Fields that must be
+// unique get an expression index, so constraints hold across server instances.
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const fieldExpression = (field) => {
+  if (!FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid field name "${field}"`);
+  }
+  return `json_extract(data, '$.${field}')`;
+};
+
+// better-sqlite3 cannot bind booleans, and JSON stores them as 0/1 anyway
+const toParam = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value === undefined ? null : value;
+};
+
+const buildWhere = (criteria = {}) => {
+  const fields = Object.keys(criteria);
+  if (fields.length === 0) {
+    return { sql: '', params: [] };
+  }
+
+  const params = [];
+  const conditions = fields.map(field => {
+    const value = toParam(criteria[field]);
+    if (value === null) {
+      return `${fieldExpression(field)} IS NULL`;
+    }
+    params.push(value);
+    return `${fieldExpression(field)} = ?`;
+  });
+
+  return { sql: ` WHERE ${conditions.join(' AND ')}`, params };
+};
+
+const isConstraintError = (error) => {
+  return error instanceof Database.SqliteError &&
+    (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY');
+};
+
+const uniqueIndexName = (name, fields) => `${name}_unique_${fields.join('_')}`;
+
+// Creates tables and brings the unique indexes in line with COLLECTIONS
+const migrate = (db) => {
+  db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)');
+
+  Object.keys(COLLECTIONS).forEach(name => {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY NOT NULL, data TEXT NOT NULL)`);
+
+    const wanted = COLLECTIONS[name].unique.map(fields => ({
+      indexName: uniqueIndexName(name, fields),
+      fields
+    }));
+
+    const existing = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name LIKE ?")
+      .all(name, `${name}_unique_%`)
+      .map(row => row.name);
+
+    existing
+      .filter(indexName => !wanted.some(index => index.indexName === indexName))
+      .forEach(indexName => db.exec(`DROP INDEX ${indexName}`));
+
+    wanted.forEach(({ indexName, fields }) => {
+      const columns = fields.map(fieldExpression).join(', ');
+      db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS ${indexName} ON ${name} (${columns})`);
+    });
+  });
+};
+
+const openStorage = ({ dataDir, filename }) => {
+  const db = new Database(filename || path.join(dataDir, 'contest.db'));
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  migrate(db);
+
+  const getMeta = (key) => {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  };
+
+  const setMeta = (key, value) => {
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  };
+
+  const createRepository = (name) => {
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    const select = (criteria, suffix = '') => {
+      const where = buildWhere(criteria);
+      return db.prepare(`SELECT data FROM ${name}${where.sql} ORDER BY rowid${suffix}`).all(...where.params);
+    };
+
+    const write = (fn) => {
+      try {
+        return fn();
+      } catch (error) {
+        if (isConstraintError(error)) {
+          throw new StorageConflictError(name, error.message);
+        }
+        throw error;
+      }
+    };
+
+    const findById = (id) => parse(db.prepare(`SELECT data FROM ${name} WHERE id = ?`).get(id));
+
+    return {
+      all: () => select().map(parse),
+
+      findById,
+
+      findOne: (criteria) => parse(select(criteria, ' LIMIT 1')[0]),
+
+      findMany: (criteria) => select(criteria).map(parse),
+
+      count: (criteria) => {
+        const where = buildWhere(criteria);
+        return db.prepare(`SELECT COUNT(*) AS total FROM ${name}${where.sql}`).get(...where.params).total;
+      },
+
+      insert: (record) => write(() => {
+        db.prepare(`INSERT INTO ${name} (id, data) VALUES (?, ?)`).run(record.id, JSON.stringify(record));
+        return findById(record.id);
+      }),
+
+      update: (id, changes) => write(() => db.transaction(() => {
+        const current = findById(id);
+        if (!current) {
+          return null;
+        }
+
+        const updated = { ...current, ...changes, id: current.id };
+        db.prepare(`UPDATE ${name} SET data = ? WHERE id = ?`).run(JSON.stringify(updated), id);
+        return updated;
+      })()),
+
+      remove: (id) => db.prepare(`DELETE FROM ${name} WHERE id = ?`).run(id).changes > 0,
+
+      removeMany: (criteria) => {
+        const where = buildWhere(criteria);
+        return db.prepare(`DELETE FROM ${name}${where.sql}`).run(...where.params).changes;
+      },
+
+      clear: () => {
+        db.prepare(`DELETE FROM ${name}`).run();
+      }
+    };
+  };
+
+  const storage = {
+    driver: 'sqlite',
+    get isNew() {
+      return getMeta('initializedAt') === null;
+    },
+    markInitialized: () => setMeta('initializedAt', new Date().toISOString()),
+    getMeta,
+    setMeta,
+    // IMMEDIATE takes the write lock up front so concurrent instances queue
+    // instead of failing when a read-then-write transaction upgrades its lock
+    transaction: (fn) => (db.inTransaction ? db.transaction(fn)() : db.transaction(fn).immediate()),
+    close: () => db.close()
+  };
+
+  Object.keys(COLLECTIONS).forEach(name => {
+    storage[name] = createRepository(name);
+  });
+
+  return storage;
+};
+
+module.exports = { openStorage };
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tallyInstantRunoff } = require('../lib/instantRunoff');
+
+const ballots = (...rankings) => rankings.map(ranking => ({ ranking }));
+
+test('a majority of first choices wins in the first round', () => {
+  const tally = tallyInstantRunoff(ballots(['a'], ['a', 'b'], ['b']), ['a', 'b']);
+
+  assert.strictEqual(tally.winner, 'a');
+  assert.deepStrictEqual(tally.rounds, [{ round: 1, counts: { a: 2, b: 1 }, exhausted: 0, eliminated: [] }]);
+});
+
+test('ballots of an eliminated mascot move to their next choice', () => {
+  const tally = tallyInstantRunoff(ballots(['a'], ['a'], ['b'], ['b'], ['c', 'b']), ['a', 'b', 'c']);
+
+  assert.strictEqual(tally.winner, 'b');
+  assert.deepStrictEqual(tally.rounds.map(round => round.eliminated), [['c'], []]);
+  assert.deepStrictEqual(tally.rounds[1].counts, { a: 2, b: 3 });
+});
+
+test('a tie for last place goes to whoever had fewer votes in an earlier round', () => {
+  const tally = tallyInstantRunoff(ballots(
+    ['a'], ['a'], ['a'], ['a'],
+    ['b'], ['b'], ['b'],
+    ['c', 'b'], ['c', 'b'],
+    ['d', 'c']
+  ), ['a', 'b', 'c', 'd']);
+
+  // b and c both hold 3 votes in round 2, but c had fewer in round 1
+  assert.deepStrictEqual(tally.rounds[1].counts, { a: 4, b: 3, c: 3 });
+  assert.deepStrictEqual(tally.rounds.map(round => round.eliminated), [['d'], ['c'], []]);
+  assert.strictEqual(tally.winner, 'b');
+  assert.strictEqual(tally.rounds[2].exhausted, 1);
+});
+
+test('mascots tied through every round are eliminated together', () => {
+  const tally = tallyInstantRunoff(ballots(['a'], ['a'], ['a'], ['b'], ['b'], ['c', 'b'], ['d', 'a']), ['a', 'b', 'c', 'd']);
+
+  assert.deepStrictEqual(tally.rounds[0].eliminated, ['c', 'd']);
+  assert.strictEqual(tally.winner, 'a');
+});
+
+test('the contest ends in a tie when everyone left is tied', () => {
+  const tally = tallyInstantRunoff(ballots(['a'], ['b']), ['a', 'b']);
+
+  assert.strictEqual(tally.winner, null);
+  assert.deepStrictEqual(tally.tied, ['a', 'b']);
+});
+
+test('rankings of mascots that are not candidates are skipped', () => {
+  const tally = tallyInstantRunoff(ballots(['gone', 'b'], ['a']), ['a', 'b', 'c']);
+
+  assert.deepStrictEqual(tally.rounds[0].counts, { a: 1, b: 1, c: 0 });
+});
+
+test('there is no winner without candidates', () => {
+  assert.deepStrictEqual(tallyInstantRunoff(ballots(['a']), []), { winner: null, tied: [], rounds: [] });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournal, applyChanges, writeFileAtomic } = require('../storage/journal');
+const { openStorage } = require('../storage/json');
+
+const withDataDir = (fn) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mascot-journal-'));
+  try {
+    return fn(dataDir);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+};
+
+test('entries are read back in order', () => {
+  withDataDir(dataDir => {
+    const journal = createJournal(path.join(dataDir, 'journal.log'));
+    journal.append([{ collection: 'users', put: { id: 'a' } }]);
+    journal.append([{ collection: 'users', remove: 'a' }]);
+
+    const entries = createJournal(journal.file).read();
+    assert.deepStrictEqual(entries.map(entry => entry.seq), [1, 2]);
+    assert.deepStrictEqual(entries[1].changes, [{ collection: 'users', remove: 'a' }]);
+  });
+});
+
+test('a torn last line is dropped', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  withDataDir(dataDir => {
+    const journal = createJournal(path.join(dataDir, 'journal.log'));
+    journal.append([{ collection: 'users', put: { id: 'a' } }]);
+    fs.appendFileSync(journal.file, '{"seq":2,"changes":[{"coll');
+
+    const entries = createJournal(journal.file).read();
+    assert.strictEqual(entries.length, 1);
+  });
+});
+
+test('a corrupt line before the last one is an error', () => {
+  withDataDir(dataDir => {
+    const file = path.join(dataDir, 'journal.log');
+    fs.writeFileSync(file, 'not json\n{"seq":2,"changes":[]}\n');
+
+    assert.throws(() => createJournal(file).read(), /Corrupt journal entry on line 1/);
+  });
+});
+
+test('sequence numbers continue after the entries read', () => {
+  withDataDir(dataDir => {
+    const file = path.join(dataDir, 'journal.log');
+    createJournal(file).append([]);
+
+    const journal = createJournal(file);
+    journal.read();
+    assert.strictEqual(journal.append([]).seq, 2);
+  });
+});
+
+test('changes put, remove and clear records', () => {
+  const records = { users: [{ id: 'a', name: 'old' }, { id: 'b' }], votes: [{ id: 'v' }] };
+
+  applyChanges(records, [
+    { collection: 'users', put: { id: 'a', name: 'new' } },
+    { collection: 'users', put: { id: 'c' } },
+    { collection: 'users', remove: 'b' },
+    { collection: 'votes', clear: true },
+    { collection: 'unknown', put: { id: 'x' } }
+  ]);
+
+  assert.deepStrictEqual(records, { users: [{ id: 'a', name: 'new' }, { id: 'c' }], votes: [] });
+});
+
+test('replaying an entry the files already reflect changes nothing', () => {
+  const records = { users: [{ id: 'a' }] };
+  const changes = [{ collection: 'users', put: { id: 'a' } }, { collection: 'users', remove: 'b' }];
+
+  applyChanges(records, changes);
+  assert.deepStrictEqual(records, { users: [{ id: 'a' }] });
+});
+
+test('the JSON driver replays the journal when a file write was lost', (t) => {
+  t.mock.method(console, 'log', () => {});
+  withDataDir(dataDir => {
+    const storage = openStorage({ dataDir });
+    storage.transaction(() => {
+      storage.users.insert({ id: 'a', email: 'a@example.com', username: 'ana' });
+      storage.votes.insert({ id: 'v', userId: 'a', mascotId: 'm', round: 1 });
+    });
+
+    // As if the process died after the journal append but before the files
+    writeFileAtomic(path.join(dataDir, 'votes.json'), '[]');
+
+    const reopened = openStorage({ dataDir });
+    assert.strictEqual(reopened.votes.count(), 1);
+    assert.strictEqual(fs.readFileSync(path.join(dataDir, 'journal.log'), 'utf8'), '');
+  });
+});
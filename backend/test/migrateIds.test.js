@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validate: isUuid } = require('uuid');
+const { createStorage } = require('../storage');
+const { migrateRecords } = require('../storage/migrateIds');
+
+const legacyData = () => ({
+  users: [
+    { id: 1, username: 'ana', email: 'ana@example.com' },
+    { id: 3, username: 'ben', email: 'ben@example.com' },
+    { id: 3, username: 'cleo', email: 'cleo@example.com' }
+  ],
+  mascots: [
+    { id: 1, name: 'Otter', userId: 1, votes: 5 },
+    { id: 2, name: 'Heron', userId: 3, votes: 0 }
+  ],
+  votes: [
+    { id: 1, userId: 1, mascotId: 2 },
+    { id: 1, userId: 3, mascotId: 1 }
+  ]
+});
+
+const withDataDir = (fn) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mascot-storage-'));
+  try {
+    return fn(dataDir);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+};
+
+test('migrateRecords returns null when every id is a uuid', () => {
+  const { records } = migrateRecords(legacyData());
+  assert.strictEqual(migrateRecords(records), null);
+});
+
+test('migrateRecords gives every record a uuid and keeps its old id', () => {
+  const { records, summary } = migrateRecords(legacyData());
+
+  assert.deepStrictEqual(summary, { users: 3, mascots: 2, votes: 2, ambiguous: 1, droppedVotes: 0 });
+  ['users', 'mascots', 'votes'].forEach(name => {
+    records[name].forEach(record => assert.ok(isUuid(record.id)));
+  });
+  assert.deepStrictEqual(records.users.map(user => user.legacyId), [1, 3, 3]);
+  assert.strictEqual(new Set(records.users.map(user => user.id)).size, 3);
+});
+
+test('migrateRecords points references to a repeated id at the first record', () => {
+  const { records } = migrateRecords(legacyData());
+  const [ana, ben] = records.users;
+  const [otter, heron] = records.mascots;
+
+  assert.strictEqual(otter.userId, ana.id);
+  assert.strictEqual(heron.userId, ben.id);
+  assert.deepStrictEqual(records.votes.map(vote => [vote.userId, vote.mascotId]), [[ana.id, heron.id], [ben.id, otter.id]]);
+});
+
+test('migrateRecords drops votes that collapse into one and recounts', () => {
+  const data = legacyData();
+  data.votes.push({ id: 2, userId: 3, mascotId: 1 });
+
+  const { records, summary } = migrateRecords(data);
+
+  assert.strictEqual(summary.droppedVotes, 1);
+  assert.strictEqual(records.votes.length, 2);
+  assert.deepStrictEqual(records.mascots.map(mascot => mascot.votes), [1, 1]);
+});
+
+test('the SQLite import keeps records that shared a legacy id', () => {
+  withDataDir(dataDir => {
+    Object.entries(legacyData()).forEach(([name, records]) => {
+      fs.writeFileSync(path.join(dataDir, `${name}.json`), JSON.stringify(records));
+    });
+
+    const storage = createStorage({ driver: 'sqlite', dataDir });
+    try {
+      assert.deepStrictEqual(storage.users.all().map(user => user.username).sort(), ['ana', 'ben', 'cleo']);
+      assert.strictEqual(storage.votes.count(), 2);
+      assert.deepStrictEqual(storage.mascots.all().map(mascot => [mascot.name, mascot.votes]), [['Otter', 1], ['Heron', 1]]);
+      storage.users.all().forEach(user => assert.ok(isUuid(user.id)));
+    } finally {
+      storage.close();
+    }
+  });
+});
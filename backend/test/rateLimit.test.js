@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_RATE_LIMIT_POLICIES,
+  resolveRateLimitPolicies,
+  createMemoryStore,
+  consumeRateLimit,
+  getLoginLockout,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../lib/rateLimit');
+
+const MINUTE = 60 * 1000;
+
+// Lets a test move the clock the limits run on
+const useClock = (t) => {
+  let now = Date.UTC(2026, 0, 1);
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => { now += ms; } };
+};
+
+test('overrides are merged into the default policies', () => {
+  const policies = resolveRateLimitPolicies({ vote: { maxPerAccount: 60 }, upload: false });
+
+  assert.deepStrictEqual(policies.vote, { ...DEFAULT_RATE_LIMIT_POLICIES.vote, maxPerAccount: 60 });
+  assert.strictEqual(policies.upload, null);
+  assert.deepStrictEqual(policies.login, DEFAULT_RATE_LIMIT_POLICIES.login);
+});
+
+test('unknown policies and invalid settings are rejected', () => {
+  assert.throws(() => resolveRateLimitPolicies({ search: false }), /Unknown rate limit policy "search"/);
+  assert.throws(() => resolveRateLimitPolicies({ vote: { maxPerDay: 5 } }), /Invalid rate limit setting vote.maxPerDay/);
+  assert.throws(() => resolveRateLimitPolicies({ vote: { maxPerIP: 0 } }), /Invalid rate limit setting vote.maxPerIP/);
+});
+
+test('requests over the account limit are turned away until the window ends', async (t) => {
+  const clock = useClock(t);
+  const store = createMemoryStore();
+  const policy = { windowMinutes: 1, maxPerIP: 10, maxPerAccount: 2 };
+  const consume = () => consumeRateLimit(store, 'vote', policy, { ip: '10.0.0.1', account: 'u1' });
+
+  assert.strictEqual(await consume(), null);
+  assert.strictEqual(await consume(), null);
+  assert.deepStrictEqual(await consume(), { scope: 'account', limit: 2, retryAfter: 60 });
+
+  clock.advance(MINUTE);
+  assert.strictEqual(await consume(), null);
+});
+
+test('the IP limit counts every account behind the IP', async (t) => {
+  useClock(t);
+  const store = createMemoryStore();
+  const policy = { windowMinutes: 1, maxPerIP: 2, maxPerAccount: 5 };
+
+  await consumeRateLimit(store, 'vote', policy, { ip: '10.0.0.1', account: 'u1' });
+  await consumeRateLimit(store, 'vote', policy, { ip: '10.0.0.1', account: 'u2' });
+  const limited = await consumeRateLimit(store, 'vote', policy, { ip: '10.0.0.1', account: 'u3' });
+
+  assert.strictEqual(limited.scope, 'ip');
+});
+
+const loginPolicy = { lockoutAfter: 2, emailLockoutAfter: 5, lockoutMinutes: 1, maxLockoutMinutes: 3 };
+const fromIP = (ip) => ({ email: 'ana@example.com', ip });
+
+test('the lockout doubles with every further failure, up to the maximum', async (t) => {
+  const clock = useClock(t);
+  const store = createMemoryStore();
+  const attempt = fromIP('10.0.0.1');
+
+  // Only failures after a lockout has ended are counted, as the route turns
+  // away attempts during one
+  assert.strictEqual(await recordLoginFailure(store, loginPolicy, attempt), 0);
+  const lockouts = [];
+  for (let i = 0; i < 3; i += 1) {
+    lockouts.push(await recordLoginFailure(store, loginPolicy, attempt));
+    clock.advance(lockouts[i] * 1000);
+    assert.strictEqual(await getLoginLockout(store, loginPolicy, attempt), 0);
+  }
+
+  assert.deepStrictEqual(lockouts, [60, 120, 180]);
+});
+
+test('a lockout on one IP leaves other IPs alone', async (t) => {
+  useClock(t);
+  const store = createMemoryStore();
+
+  await recordLoginFailure(store, loginPolicy, fromIP('10.0.0.1'));
+  await recordLoginFailure(store, loginPolicy, fromIP('10.0.0.1'));
+
+  assert.strictEqual(await getLoginLockout(store, loginPolicy, fromIP('10.0.0.1')), 60);
+  assert.strictEqual(await getLoginLockout(store, loginPolicy, fromIP('10.0.0.2')), 0);
+});
+
+test('failures spread over many IPs lock the email everywhere', async (t) => {
+  useClock(t);
+  const store = createMemoryStore();
+
+  for (let i = 1; i <= 4; i += 1) {
+    assert.strictEqual(await recordLoginFailure(store, loginPolicy, fromIP(`10.0.0.${i}`)), 0);
+  }
+  assert.strictEqual(await recordLoginFailure(store, loginPolicy, fromIP('10.0.0.5')), 60);
+
+  assert.strictEqual(await getLoginLockout(store, loginPolicy, fromIP('10.0.0.6')), 60);
+  assert.strictEqual(await getLoginLockout(store, loginPolicy, { email: 'ben@example.com', ip: '10.0.0.6' }), 0);
+});
+
+test('failures are forgotten after a day', async (t) => {
+  const clock = useClock(t);
+  const store = createMemoryStore();
+  const attempt = fromIP('10.0.0.1');
+
+  await recordLoginFailure(store, loginPolicy, attempt);
+  clock.advance(24 * 60 * MINUTE);
+
+  assert.strictEqual(await recordLoginFailure(store, loginPolicy, attempt), 0);
+});
+
+test('a successful login starts the count over', async (t) => {
+  useClock(t);
+  const store = createMemoryStore();
+  const attempt = fromIP('10.0.0.1');
+
+  await recordLoginFailure(store, loginPolicy, attempt);
+  await recordLoginFailure(store, loginPolicy, attempt);
+  await recordLoginSuccess(store, loginPolicy, attempt);
+
+  assert.strictEqual(await getLoginLockout(store, loginPolicy, attempt), 0);
+  assert.strictEqual(await recordLoginFailure(store, loginPolicy, attempt), 0);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canViewResults, rankResults, approvalEntries, runoffEntries } = require('../lib/results');
+const { tallyInstantRunoff } = require('../lib/instantRunoff');
+
+const mascot = (id, hour) => ({ id, createdAt: new Date(Date.UTC(2026, 0, 1, hour)).toISOString() });
+
+test('admins always see the results', () => {
+  assert.strictEqual(canViewResults({ resultsVisibility: 'admin-only', blindVoting: true }, 'voting', true), true);
+});
+
+test('results are visible according to the contest setting', () => {
+  assert.strictEqual(canViewResults({ resultsVisibility: 'live' }, 'voting', false), true);
+  assert.strictEqual(canViewResults({ resultsVisibility: 'after-close' }, 'voting', false), false);
+  assert.strictEqual(canViewResults({ resultsVisibility: 'after-close' }, 'closed', false), true);
+  assert.strictEqual(canViewResults({ resultsVisibility: 'admin-only' }, 'closed', false), false);
+});
+
+test('blind contests hide live results until they close', () => {
+  assert.strictEqual(canViewResults({ resultsVisibility: 'live', blindVoting: true }, 'voting', false), false);
+  assert.strictEqual(canViewResults({ resultsVisibility: 'live', blindVoting: true }, 'closed', false), true);
+});
+
+test('approval entries take their votes from the given count', () => {
+  const counts = { a: 2, b: 0 };
+  const entries = approvalEntries([mascot('a', 0), mascot('b', 1)], ({ id }) => counts[id]);
+
+  assert.deepStrictEqual(entries.map(entry => [entry.mascot.id, entry.votes, entry.standing]), [['a', 2, 0], ['b', 0, 0]]);
+});
+
+test('results are ranked by votes with percentages and ties marked', () => {
+  const entries = [
+    { mascot: mascot('a', 0), votes: 1, standing: 0 },
+    { mascot: mascot('b', 1), votes: 2, standing: 0 },
+    { mascot: mascot('c', 2), votes: 1, standing: 0 }
+  ];
+
+  const results = rankResults(entries, { tieBreak: 'earliest-submission', totalVotes: 3 });
+
+  assert.deepStrictEqual(results.map(result => [result.position, result.mascot.id, result.percentage, result.tied]), [
+    [1, 'b', 66.7, false],
+    [2, 'a', 33.3, true],
+    [3, 'c', 33.3, true]
+  ]);
+});
+
+test('the manual tie break follows the admin order, then submission time', () => {
+  const entries = ['a', 'b', 'c'].map((id, hour) => ({ mascot: mascot(id, hour), votes: 1, standing: 0 }));
+
+  const results = rankResults(entries, { tieBreak: 'manual', manualOrder: ['c'], totalVotes: 3 });
+
+  assert.deepStrictEqual(results.map(result => result.mascot.id), ['c', 'a', 'b']);
+});
+
+test('percentages are 0 without votes', () => {
+  const results = rankResults([{ mascot: mascot('a', 0), votes: 0, standing: 0 }], { tieBreak: 'earliest-submission', totalVotes: 0 });
+
+  assert.strictEqual(results[0].percentage, 0);
+});
+
+test('runoff entries rank mascots by how long they survived', () => {
+  const list = [mascot('a', 0), mascot('b', 1), mascot('c', 2)];
+  const tally = tallyInstantRunoff([
+    { ranking: ['a'] }, { ranking: ['a'] },
+    { ranking: ['b'] }, { ranking: ['b'] },
+    { ranking: ['c', 'b'] }
+  ], ['a', 'b', 'c']);
+
+  const results = rankResults(runoffEntries(list, tally), { tieBreak: 'earliest-submission', totalVotes: 5 });
+
+  // c is out after round 1 with its 1 vote; b wins round 2 with 3
+  assert.deepStrictEqual(results.map(result => [result.mascot.id, result.votes]), [['b', 3], ['a', 2], ['c', 1]]);
+});
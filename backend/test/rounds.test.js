@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { selectFinalists } = require('../lib/rounds');
+
+// Mascots with the given vote counts, submitted in order
+const mascots = (...votes) => votes.map((count, index) => ({
+  id: String.fromCharCode(97 + index),
+  votes: count,
+  createdAt: new Date(Date.UTC(2026, 0, 1, index)).toISOString()
+}));
+
+const ids = (list) => list.map(mascot => mascot.id);
+
+test('the top mascots by votes become finalists', () => {
+  const { finalists, tied } = selectFinalists(mascots(1, 5, 3), { count: 2, tieBreak: 'include-all' });
+
+  assert.deepStrictEqual(ids(finalists), ['b', 'c']);
+  assert.deepStrictEqual(tied, []);
+});
+
+test('everyone is a finalist when there are no more mascots than spots', () => {
+  const { finalists } = selectFinalists(mascots(0, 2), { count: 3, tieBreak: 'manual' });
+
+  assert.deepStrictEqual(ids(finalists), ['b', 'a']);
+});
+
+test('include-all lets every mascot tied at the cutoff through', () => {
+  const { finalists } = selectFinalists(mascots(5, 3, 3, 1), { count: 2, tieBreak: 'include-all' });
+
+  assert.deepStrictEqual(ids(finalists), ['a', 'b', 'c']);
+});
+
+test('earliest-submission fills the spots with the first tied mascots', () => {
+  const { finalists } = selectFinalists(mascots(3, 5, 3, 3), { count: 3, tieBreak: 'earliest-submission' });
+
+  assert.deepStrictEqual(ids(finalists), ['b', 'a', 'c']);
+});
+
+test('a tie that fits the open spots needs no tie break', () => {
+  const { finalists, tied } = selectFinalists(mascots(5, 3, 3, 1), { count: 3, tieBreak: 'manual' });
+
+  assert.deepStrictEqual(ids(finalists), ['a', 'b', 'c']);
+  assert.deepStrictEqual(tied, []);
+});
+
+test('manual returns the tied mascots until the admin picks enough of them', () => {
+  const list = mascots(5, 3, 3, 3);
+
+  const pending = selectFinalists(list, { count: 3, tieBreak: 'manual' });
+  assert.strictEqual(pending.finalists, null);
+  assert.deepStrictEqual(ids(pending.tied), ['b', 'c', 'd']);
+  assert.strictEqual(pending.openSpots, 2);
+
+  const tooFew = selectFinalists(list, { count: 3, tieBreak: 'manual', chosenIds: ['d'] });
+  assert.strictEqual(tooFew.finalists, null);
+
+  const notTied = selectFinalists(list, { count: 3, tieBreak: 'manual', chosenIds: ['a', 'd'] });
+  assert.strictEqual(notTied.finalists, null);
+
+  const chosen = selectFinalists(list, { count: 3, tieBreak: 'manual', chosenIds: ['d', 'b'] });
+  assert.deepStrictEqual(ids(chosen.finalists), ['a', 'b', 'd']);
+});
@@ -1,15 +1,23 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import api from './config/api';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import AuthModal from './components/AuthModal';
 import MascotUpload from './components/MascotUpload';
+import ContestStatus, { getSubmissionBlockReason, getVotingBlockReason } from './components/ContestStatus';
+import ContestSwitcher from './components/ContestSwitcher';
+import RankedBallot from './components/RankedBallot';
+import Leaderboard from './components/Leaderboard';
+import MascotImage from './components/MascotImage';
+import MascotCarousel from './components/MascotCarousel';
+import ReportMascot from './components/ReportMascot';
 import './App.css';
 
-function MascotCard({ mascot, onVote, userVotes, onImageClick, onRemoveVote }) {
+function MascotCard({ mascot, onVote, userVotes, remainingVotes, onImageClick, onRemoveVote, votingBlockReason, showVoting }) {
   const [voting, setVoting] = useState(false);
   const { isAuthenticated } = useAuth();
   
   const hasVoted = userVotes.includes(mascot.id);
+  const outOfVotes = remainingVotes === 0;
 
   const handleVote = async () => {
     if (!isAuthenticated) {
@@ -45,7 +53,7 @@ function MascotCard({ mascot, onVote, userVotes, onImageClick, onRemoveVote }) {
       
       {mascot.imageUrl && (
         <div className="mascot-image" onClick={() => onImageClick(mascot)}>
-          <img src={mascot.imageUrl} alt={mascot.name} />
+          <MascotImage image={mascot.imageUrl} size="thumbnail" alt={mascot.name} />
           <div className="image-overlay">
             <span className="zoom-icon">🔍</span>
           </div>
@@ -54,55 +62,147 @@ function MascotCard({ mascot, onVote, userVotes, onImageClick, onRemoveVote }) {
       
       <p className="mascot-description">{mascot.description}</p>
       
-      <div className="vote-section">
-        {hasVoted ? (
-          <button
-            className="vote-button voted"
-            onClick={handleRemoveVote}
-            disabled={voting || !isAuthenticated}
-          >
-            {voting ? 'Removing...' : '✓ Remove Vote'}
-          </button>
-        ) : (
-          <button
-            className="vote-button"
-            onClick={handleVote}
-            disabled={voting || !isAuthenticated}
-          >
-            {voting ? 'Voting...' : 'Vote'}
-          </button>
-        )}
-      </div>
+      {showVoting && (
+        <div className="vote-section">
+          {hasVoted ? (
+            <button
+              className="vote-button voted"
+              onClick={handleRemoveVote}
+              disabled={voting || !isAuthenticated || !!votingBlockReason}
+              title={votingBlockReason || undefined}
+            >
+              {voting ? 'Removing...' : '✓ Remove Vote'}
+            </button>
+          ) : (
+            <button
+              className="vote-button"
+              onClick={handleVote}
+              disabled={voting || !isAuthenticated || !!votingBlockReason || outOfVotes}
+              title={votingBlockReason || (outOfVotes ? 'You have no votes left' : undefined)}
+            >
+              {voting ? 'Voting...' : 'Vote'}
+            </button>
+          )}
+          {votingBlockReason && <small className="disabled-reason">{votingBlockReason}</small>}
+          {!votingBlockReason && isAuthenticated && remainingVotes !== null && (
+            <small className="votes-left">
+              {remainingVotes} {remainingVotes === 1 ? 'vote' : 'votes'} left
+            </small>
+          )}
+        </div>
+      )}
     </div>
   );
 }
 
+const SORT_OPTIONS = [
+  { value: 'shuffle', label: 'Shuffled' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'votes', label: 'Most votes' }
+];
+
+const FILTER_OPTIONS = [
+  { value: '', label: 'All entries' },
+  { value: 'not-voted', label: 'Not yet voted' },
+  { value: 'voted', label: 'Voted by me' },
+  { value: 'mine', label: 'Mine' }
+];
+
 function AppContent() {
   const [mascots, setMascots] = useState([]);
+  const [totalMascots, setTotalMascots] = useState(0);
+  const [hasMoreMascots, setHasMoreMascots] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [authModalOpen, setAuthModalOpen] = useState(false);
   const [authMode, setAuthMode] = useState('login');
   const [userVotes, setUserVotes] = useState([]);
+  const [remainingVotes, setRemainingVotes] = useState(null);
   const [showUpload, setShowUpload] = useState(false);
   const [selectedMascot, setSelectedMascot] = useState(null);
   const [imageModalOpen, setImageModalOpen] = useState(false);
+  const [editingMascot, setEditingMascot] = useState(false);
+  const [contest, setContest] = useState(null);
+  const [contests, setContests] = useState([]);
+  const [selectedContestId, setSelectedContestId] = useState(null);
+  const [view, setView] = useState('entries');
+  const [sort, setSort] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [filter, setFilter] = useState('');
+  const loadMoreRef = useRef(null);
   
   const { user, logout, isAuthenticated, loading: authLoading } = useAuth();
 
-  // Fetch mascots and user votes
+  // Start on the default contest and list the others for the switcher
   useEffect(() => {
-    fetchMascots();
-    if (isAuthenticated) {
-      fetchUserVotes();
+    const fetchContests = async () => {
+      try {
+        const [defaultResponse, listResponse] = await Promise.all([
+          api.get('/api/contest'),
+          api.get('/api/contests')
+        ]);
+        setContests(listResponse.data);
+        setSelectedContestId(defaultResponse.data.id);
+      } catch (err) {
+        setError('Failed to fetch contests. Please make sure the backend server is running.');
+        setLoading(false);
+        console.error('Error fetching contests:', err);
+      }
+    };
+
+    fetchContests();
+  }, []);
+
+  const fetchContest = useCallback(async () => {
+    if (!selectedContestId) return;
+
+    try {
+      const response = await api.get(`/api/contests/${selectedContestId}`);
+      setContest(response.data);
+    } catch (err) {
+      console.error('Error fetching contest:', err);
     }
-  }, [isAuthenticated]);
+  }, [selectedContestId]);
+
+  useEffect(() => {
+    fetchContest();
+  }, [fetchContest]);
+
+  const submissionBlockReason = getSubmissionBlockReason(contest);
+  const votingBlockReason = getVotingBlockReason(contest);
+
+  // Ranked-choice contests take a single ballot instead of per-mascot votes
+  const rankedVoting = contest?.votingMode === 'ranked';
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // The gallery is paged; the server picks the order unless one was chosen
+  const fetchMascotPage = useCallback((offset) => {
+    return api.get(`/api/contests/${selectedContestId}/mascots`, {
+      params: {
+        sort: sort || undefined,
+        q: search || undefined,
+        filter: filter || undefined,
+        offset
+      }
+    });
+  }, [selectedContestId, sort, search, filter]);
+
+  const fetchMascots = useCallback(async () => {
+    if (!selectedContestId) return;
 
-  const fetchMascots = async () => {
     try {
-      setLoading(true);
-      const response = await api.get('/api/mascots');
-      setMascots(response.data);
+      const response = await fetchMascotPage(0);
+      setMascots(response.data.mascots);
+      setTotalMascots(response.data.total);
+      setHasMoreMascots(response.data.hasMore);
       setError(null);
     } catch (err) {
       setError('Failed to fetch mascots. Please make sure the backend server is running.');
@@ -110,31 +210,103 @@ function AppContent() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [selectedContestId, fetchMascotPage]);
+
+  const loadMoreMascots = useCallback(async () => {
+    if (loadingMore || !hasMoreMascots) return;
 
-  const fetchUserVotes = async () => {
+    setLoadingMore(true);
     try {
-      const response = await api.get('/api/user/votes');
-      setUserVotes(response.data.map(vote => vote.mascotId));
+      const response = await fetchMascotPage(mascots.length);
+      setMascots(prevMascots => [
+        ...prevMascots,
+        ...response.data.mascots.filter(mascot => !prevMascots.some(m => m.id === mascot.id))
+      ]);
+      setTotalMascots(response.data.total);
+      setHasMoreMascots(response.data.hasMore);
+    } catch (err) {
+      console.error('Error fetching more mascots:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [fetchMascotPage, mascots.length, loadingMore, hasMoreMascots]);
+
+  // Infinite scroll: load the next page when the end of the grid comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMoreMascots) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreMascots();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMoreMascots, loadMoreMascots, view]);
+
+  const fetchUserVotes = useCallback(async () => {
+    if (!selectedContestId) return;
+
+    try {
+      const response = await api.get('/api/user/votes', { params: { contestId: selectedContestId } });
+      setUserVotes(response.data.votes.map(vote => vote.mascotId));
+      setRemainingVotes(response.data.remainingVotes);
     } catch (err) {
       console.error('Error fetching user votes:', err);
     }
+  }, [selectedContestId]);
+
+  // Fetch mascots and user votes for the selected contest
+  useEffect(() => {
+    fetchMascots();
+    if (isAuthenticated) {
+      fetchUserVotes();
+    } else {
+      setUserVotes([]);
+      setRemainingVotes(null);
+      setFilter('');
+    }
+  }, [isAuthenticated, fetchMascots, fetchUserVotes]);
+
+  const handleContestChange = (contestId) => {
+    setShowUpload(false);
+    setSort(null);
+    setSearchInput('');
+    setFilter('');
+    setLoading(true);
+    setSelectedContestId(contestId);
+  };
+
+  // Without a choice the server picks the order (shuffled while voting is open).
+  // Blind contests only let admins sort by votes before they close.
+  const sortOptions = SORT_OPTIONS.filter(option => (
+    option.value !== 'votes' || !contest?.blindVoting || contest.phase === 'closed' || user?.role === 'admin'
+  ));
+
+  // Update the vote count locally. Blind contests don't send counts, so cards
+  // never show one until the contest closes.
+  const updateVoteCount = (mascotId, newVoteCount) => {
+    if (newVoteCount === undefined) return;
+
+    setMascots(prevMascots =>
+      prevMascots.map(mascot =>
+        mascot.id === mascotId
+          ? { ...mascot, votes: newVoteCount }
+          : mascot
+      )
+    );
   };
 
   const handleVote = async (mascotId) => {
     try {
-      const response = await api.post(`/api/mascots/${mascotId}/vote`);
+      const response = await api.post(`/api/contests/${selectedContestId}/mascots/${mascotId}/vote`);
       if (response.data.success) {
-        // Update the vote count locally
-        setMascots(prevMascots =>
-          prevMascots.map(mascot =>
-            mascot.id === mascotId
-              ? { ...mascot, votes: response.data.newVoteCount }
-              : mascot
-          )
-        );
+        updateVoteCount(mascotId, response.data.newVoteCount);
         // Add to user votes
         setUserVotes(prev => [...prev, mascotId]);
+        setRemainingVotes(response.data.remainingVotes);
         
         const mascot = mascots.find(m => m.id === mascotId);
         alert(`Vote recorded successfully for ${mascot?.name}!`);
@@ -148,18 +320,12 @@ function AppContent() {
 
   const handleRemoveVote = async (mascotId) => {
     try {
-      const response = await api.delete(`/api/mascots/${mascotId}/vote`);
+      const response = await api.delete(`/api/contests/${selectedContestId}/mascots/${mascotId}/vote`);
       if (response.data.success) {
-        // Update the vote count locally
-        setMascots(prevMascots =>
-          prevMascots.map(mascot =>
-            mascot.id === mascotId
-              ? { ...mascot, votes: response.data.newVoteCount }
-              : mascot
-          )
-        );
+        updateVoteCount(mascotId, response.data.newVoteCount);
         // Remove from user votes
         setUserVotes(prev => prev.filter(voteId => voteId !== mascotId));
+        setRemainingVotes(response.data.remainingVotes);
         
         const mascot = mascots.find(m => m.id === mascotId);
         alert(`Vote removed for ${mascot?.name}!`);
@@ -171,8 +337,13 @@ function AppContent() {
     }
   };
 
+  // Submissions only join the gallery once a moderator approves them; until
+  // then the upload panel shows their review status
   const handleMascotUploaded = (newMascot) => {
+    if (newMascot.moderationStatus !== 'approved') return;
+
     setMascots(prevMascots => [...prevMascots, newMascot]);
+    setTotalMascots(prevTotal => prevTotal + 1);
     setShowUpload(false);
   };
 
@@ -189,6 +360,27 @@ function AppContent() {
   const closeImageModal = () => {
     setImageModalOpen(false);
     setSelectedMascot(null);
+    setEditingMascot(false);
+  };
+
+  const handleMascotUpdated = (updatedMascot) => {
+    // Edited submissions leave the gallery until they are reviewed again
+    if (updatedMascot.moderationStatus !== 'approved') {
+      setMascots(prevMascots => prevMascots.filter(mascot => mascot.id !== updatedMascot.id));
+      setTotalMascots(prevTotal => prevTotal - 1);
+      closeImageModal();
+      return;
+    }
+
+    setMascots(prevMascots =>
+      prevMascots.map(mascot =>
+        mascot.id === updatedMascot.id
+          ? { ...mascot, ...updatedMascot }
+          : mascot
+      )
+    );
+    setSelectedMascot(prevMascot => ({ ...prevMascot, ...updatedMascot }));
+    setEditingMascot(false);
   };
 
   const handleDeleteMascot = async (mascotId) => {
@@ -201,6 +393,7 @@ function AppContent() {
       if (response.status === 200) {
         // Remove mascot from local state
         setMascots(prevMascots => prevMascots.filter(m => m.id !== mascotId));
+        setTotalMascots(prevTotal => prevTotal - 1);
         
         // Remove votes for this mascot from user votes
         setUserVotes(prevVotes => prevVotes.filter(voteId => voteId !== mascotId));
@@ -263,7 +456,12 @@ return (
                     {isAuthenticated ? (
                         <div className="user-info">
                             <span>Welcome, {user?.username}!</span>
-                            <button onClick={() => setShowUpload(!showUpload)} className="auth-button">
+                            <button
+                                onClick={() => setShowUpload(!showUpload)}
+                                className="auth-button"
+                                disabled={!!submissionBlockReason && !showUpload}
+                                title={submissionBlockReason || undefined}
+                            >
                                 {showUpload ? 'Hide Upload' : 'Submit Mascot'}
                             </button>
                             <button onClick={logout} className="auth-button secondary">
@@ -286,30 +484,116 @@ return (
 
         <div className="container">
 
-        {isAuthenticated && showUpload && (
-            <MascotUpload onSuccess={handleMascotUploaded} />
+        <ContestSwitcher
+            contests={contests}
+            selectedId={selectedContestId}
+            onChange={handleContestChange}
+        />
+
+        <ContestStatus contest={contest} onPhaseEnd={fetchContest} />
+
+        {isAuthenticated && showUpload && !submissionBlockReason && contest && (
+            <MascotUpload contest={contest} onSuccess={handleMascotUploaded} />
         )}
 
         <div className="mascots-section">
-            <h2>Contest Entries ({mascots.length})</h2>
-            
-            {mascots.length === 0 ? (
-                <div className="no-mascots">
-                    <p>No mascots submitted yet. Be the first to submit your mascot!</p>
+            <div className="mascots-section-header">
+                <h2>{contest?.finalRound ? 'Finalists' : 'Contest Entries'} ({totalMascots})</h2>
+                <div className="mascots-section-controls">
+                    {view === 'entries' && (
+                        <select
+                            className="sort-select"
+                            aria-label="Sort entries"
+                            value={sort || contest?.defaultSort || 'oldest'}
+                            onChange={(e) => setSort(e.target.value)}
+                        >
+                            {sortOptions.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    )}
+                    <div className="view-toggle">
+                        <button
+                            className={view === 'entries' ? 'active' : ''}
+                            onClick={() => setView('entries')}
+                        >
+                            Entries
+                        </button>
+                        <button
+                            className={view === 'leaderboard' ? 'active' : ''}
+                            onClick={() => setView('leaderboard')}
+                        >
+                            Leaderboard
+                        </button>
+                    </div>
                 </div>
-            ) : (
-                <div className="mascots-grid">
-                    {mascots.map(mascot => (
-                        <MascotCard
-                            key={mascot.id}
-                            mascot={mascot}
-                            onVote={handleVote}
-                            onRemoveVote={handleRemoveVote}
-                            userVotes={userVotes}
-                            onImageClick={handleImageClick}
+            </div>
+
+            {view === 'leaderboard' && contest && <Leaderboard contest={contest} />}
+
+            {view === 'entries' && (
+                <>
+                    {rankedVoting && (
+                        <RankedBallot
+                            contest={contest}
+                            votingBlockReason={votingBlockReason}
                         />
-                    ))}
-                </div>
+                    )}
+
+                    <div className="mascots-toolbar">
+                        <input
+                            type="search"
+                            className="mascot-search"
+                            placeholder="Search by name or description..."
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                        />
+                        {isAuthenticated && (
+                            <select
+                                className="sort-select"
+                                aria-label="Filter entries"
+                                value={filter}
+                                onChange={(e) => setFilter(e.target.value)}
+                            >
+                                {FILTER_OPTIONS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+
+                    {mascots.length === 0 ? (
+                        <div className="no-mascots">
+                            {search || filter ? (
+                                <p>No mascots match your search.</p>
+                            ) : (
+                                <p>No mascots submitted yet. Be the first to submit your mascot!</p>
+                            )}
+                        </div>
+                    ) : (
+                        <div className="mascots-grid">
+                            {mascots.map(mascot => (
+                                <MascotCard
+                                    key={mascot.id}
+                                    mascot={mascot}
+                                    onVote={handleVote}
+                                    onRemoveVote={handleRemoveVote}
+                                    userVotes={userVotes}
+                                    remainingVotes={remainingVotes}
+                                    onImageClick={handleImageClick}
+                                    votingBlockReason={votingBlockReason}
+                                    showVoting={!rankedVoting}
+                                />
+                            ))}
+                        </div>
+                    )}
+
+                    {hasMoreMascots && (
+                        <div ref={loadMoreRef} className="load-more">
+                            {loadingMore && 'Loading more mascots...'}
+                        </div>
+                    )}
+                </>
             )}
         </div>
 
@@ -327,30 +611,50 @@ return (
                         <h2>{selectedMascot.name}</h2>
                         <button className="close-button" onClick={closeImageModal}>×</button>
                     </div>
-                    <div className="image-modal-body">
-                        <img 
-                            src={selectedMascot.imageUrl} 
-                            alt={selectedMascot.name}
-                            className="modal-image"
+                    {editingMascot ? (
+                        <MascotUpload
+                            contest={contest}
+                            mascot={selectedMascot}
+                            onSuccess={handleMascotUpdated}
+                            onCancel={() => setEditingMascot(false)}
                         />
-                        <div className="image-modal-info">
+                    ) : (
+                        <div className="image-modal-body">
+                            <MascotCarousel key={selectedMascot.id} mascot={selectedMascot} />
+                            <div className="image-modal-info">
                             
-                            <p className="mascot-description">{selectedMascot.description}</p>
+                                <p className="mascot-description">{selectedMascot.description}</p>
                             
                             
-                            {/* Delete button for own mascot */}
-                            {isAuthenticated && user && selectedMascot.userId === user.id && (
-                                <div className="mascot-actions">
-                                    <button 
-                                        className="delete-mascot-button"
-                                        onClick={() => handleDeleteMascot(selectedMascot.id)}
-                                    >
-                                        🗑️ Delete My Mascot
-                                    </button>
-                                </div>
-                            )}
+                                {/* Edit and delete buttons for own mascot */}
+                                {isAuthenticated && user && selectedMascot.userId === user.id && (
+                                    <div className="mascot-actions">
+                                        {contest?.submissionsOpen && (
+                                            <button
+                                                className="edit-mascot-button"
+                                                onClick={() => setEditingMascot(true)}
+                                            >
+                                                ✏️ Edit My Mascot
+                                            </button>
+                                        )}
+                                        <button 
+                                            className="delete-mascot-button"
+                                            onClick={() => handleDeleteMascot(selectedMascot.id)}
+                                        >
+                                            🗑️ Delete My Mascot
+                                        </button>
+                                    </div>
+                                )}
+
+                                {/* Report action for everyone else's mascots */}
+                                {isAuthenticated && user && selectedMascot.userId !== user.id && (
+                                    <div className="mascot-actions">
+                                        <ReportMascot key={selectedMascot.id} mascot={selectedMascot} />
+                                    </div>
+                                )}
+                            </div>
                         </div>
-                    </div>
+                    )}
                 </div>
             </div>
         )}
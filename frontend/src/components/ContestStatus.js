@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+
+const PHASE_LABELS = {
+  draft: 'Coming Soon',
+  submissions: 'Submissions Open',
+  voting: 'Voting Open',
+  closed: 'Contest Closed'
+};
+
+const NEXT_PHASE_LABELS = {
+  submissions: 'Submissions open in',
+  voting: 'Voting opens in',
+  closed: 'Contest closes in'
+};
+
+// Reasons shown on disabled buttons; null means the action is allowed
+export const getSubmissionBlockReason = (contest) => {
+  if (!contest || contest.submissionsOpen) return null;
+  if (contest.phase === 'draft') return 'Submissions have not opened yet';
+  return 'Submissions are closed';
+};
+
+export const getVotingBlockReason = (contest) => {
+  if (!contest || contest.votingOpen) return null;
+  if (contest.phase === 'closed') return 'Voting has ended';
+  return 'Voting has not opened yet';
+};
+
+const formatCountdown = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return `${days > 0 ? `${days}d ` : ''}${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+};
+
+const ContestStatus = ({ contest, onPhaseEnd }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Offset between the server clock and ours, so every viewer sees the same countdown
+  const [clockOffset, setClockOffset] = useState(0);
+
+  useEffect(() => {
+    if (contest?.serverTime) {
+      setClockOffset(new Date(contest.serverTime).getTime() - Date.now());
+    }
+  }, [contest]);
+
+  useEffect(() => {
+    if (!contest?.nextPhaseAt) return undefined;
+
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [contest]);
+
+  const remaining = contest?.nextPhaseAt
+    ? new Date(contest.nextPhaseAt).getTime() - (now + clockOffset)
+    : null;
+
+  // Refresh the contest once the next phase has started
+  useEffect(() => {
+    if (remaining !== null && remaining <= 0 && onPhaseEnd) {
+      onPhaseEnd();
+    }
+  }, [remaining, onPhaseEnd]);
+
+  if (!contest) return null;
+
+  return (
+    <div className={`contest-status phase-${contest.phase}`}>
+      <span className="contest-phase">
+        {PHASE_LABELS[contest.phase]}
+        {contest.phase === 'voting' && (
+          <span className="contest-round">
+            {contest.votingMode === 'ranked'
+              ? 'Ranked choice: order your favorites'
+              : contest.finalRound
+                ? 'Final round: pick the winner'
+                : `Round 1: Top ${contest.finalistCount} selection`}
+          </span>
+        )}
+        {contest.blindVoting && contest.phase !== 'closed' && (
+          <span className="contest-round" title="Vote counts and creators are hidden until the contest closes">
+            Blind voting
+          </span>
+        )}
+      </span>
+      {remaining !== null && remaining > 0 && (
+        <span className="contest-countdown">
+          {NEXT_PHASE_LABELS[contest.nextPhase]} <strong>{formatCountdown(remaining)}</strong>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ContestStatus;
@@ -0,0 +1,37 @@
+import React from 'react';
+
+// Lets visitors move between running contests and browse closed ones
+const ContestSwitcher = ({ contests, selectedId, onChange }) => {
+  if (!contests || contests.length < 2) return null;
+
+  const active = contests.filter(contest => !contest.archived);
+  const archived = contests.filter(contest => contest.archived);
+
+  return (
+    <div className="contest-switcher">
+      <label htmlFor="contest-select">Contest</label>
+      <select
+        id="contest-select"
+        value={selectedId || ''}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {active.length > 0 && (
+          <optgroup label="Active">
+            {active.map(contest => (
+              <option key={contest.id} value={contest.id}>{contest.name}</option>
+            ))}
+          </optgroup>
+        )}
+        {archived.length > 0 && (
+          <optgroup label="Archived">
+            {archived.map(contest => (
+              <option key={contest.id} value={contest.id}>{contest.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+    </div>
+  );
+};
+
+export default ContestSwitcher;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import api from '../config/api';
+import MascotImage from './MascotImage';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+const TIE_BREAK_NOTES = {
+  'earliest-submission': 'Ties are broken by the earliest submission.',
+  manual: 'Ties are broken by the contest organizers.'
+};
+
+// Current standings of a contest, as far as the contest lets the viewer see them
+const Leaderboard = ({ contest }) => {
+  const [standings, setStandings] = useState(null);
+  const [hiddenReason, setHiddenReason] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchResults = async () => {
+      try {
+        setLoading(true);
+        const response = await api.get(`/api/contests/${contest.id}/results`);
+        setStandings(response.data);
+        setHiddenReason(null);
+      } catch (err) {
+        setStandings(null);
+        setHiddenReason(err.response?.status === 403
+          ? err.response.data.error
+          : 'Failed to load the results. Please try again.');
+        console.error('Error fetching results:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchResults();
+  }, [contest.id, contest.phase]);
+
+  if (loading) {
+    return <div className="loading">Loading results...</div>;
+  }
+
+  if (hiddenReason) {
+    return (
+      <div className="no-mascots">
+        <p>{hiddenReason}</p>
+      </div>
+    );
+  }
+
+  if (standings.results.length === 0) {
+    return (
+      <div className="no-mascots">
+        <p>No results yet.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="leaderboard">
+      <p className="leaderboard-summary">
+        {standings.final ? 'Final results' : 'Live standings'}
+        {' · '}
+        {standings.totalVotes} {standings.votingMode === 'ranked' ? 'ballots' : 'votes'}
+        {standings.votingMode === 'ranked' && ' · ranked by instant runoff'}
+        {(standings.resultsVisibility === 'admin-only' || (standings.resultsVisibility === 'after-close' && !standings.final))
+          && ' · visible to admins only'}
+      </p>
+
+      <ol className="leaderboard-list">
+        {standings.results.map(result => (
+          <li key={result.id} className={`leaderboard-entry ${result.position === 1 ? 'leader' : ''}`}>
+            <span className="leaderboard-position">
+              {MEDALS[result.position - 1] || result.position}
+            </span>
+            <MascotImage image={result.imageUrl} size="thumbnail" alt="" className="leaderboard-thumbnail" />
+            <div className="leaderboard-details">
+              <div className="leaderboard-name">
+                {result.name}
+                {result.tied && <span className="leaderboard-tied" title={TIE_BREAK_NOTES[standings.tieBreak]}>tie</span>}
+              </div>
+              <small>by {result.creator}</small>
+              <div className="leaderboard-bar">
+                <div className="leaderboard-bar-fill" style={{ width: `${result.percentage}%` }} />
+              </div>
+            </div>
+            <div className="leaderboard-votes">
+              <strong>{result.votes}</strong>
+              <small>{result.percentage}%</small>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <small className="leaderboard-note">{TIE_BREAK_NOTES[standings.tieBreak]}</small>
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import MascotImage from './MascotImage';
+
+// The zoomed-in view of a mascot: its primary image, then its animation and
+// alternate views, one at a time
+const MascotCarousel = ({ mascot }) => {
+  const [current, setCurrent] = useState(0);
+
+  const slides = [
+    mascot.imageUrl && { image: mascot.imageUrl, alt: mascot.name },
+    mascot.animationUrl && { image: mascot.animationUrl, alt: `${mascot.name}, animated` },
+    ...(mascot.alternateImageUrls || []).map((image, index) => ({ image, alt: `${mascot.name}, view ${index + 2}` }))
+  ].filter(Boolean);
+
+  if (slides.length === 0) return null;
+
+  // An edit can leave the mascot with fewer images than before
+  const index = Math.min(current, slides.length - 1);
+  const show = (next) => setCurrent((next + slides.length) % slides.length);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') {
+      show(index - 1);
+    } else if (e.key === 'ArrowRight') {
+      show(index + 1);
+    }
+  };
+
+  return (
+    <div className="mascot-carousel" onKeyDown={handleKeyDown}>
+      <div className="carousel-slide">
+        <MascotImage image={slides[index].image} size="full" alt={slides[index].alt} className="modal-image" />
+        {slides.length > 1 && (
+          <>
+            <button className="carousel-button previous" onClick={() => show(index - 1)} aria-label="Previous">
+              ‹
+            </button>
+            <button className="carousel-button next" onClick={() => show(index + 1)} aria-label="Next">
+              ›
+            </button>
+          </>
+        )}
+      </div>
+
+      {slides.length > 1 && (
+        <div className="carousel-dots">
+          {slides.map((slide, i) => (
+            <button
+              key={i}
+              className={`carousel-dot ${i === index ? 'active' : ''}`}
+              onClick={() => setCurrent(i)}
+              aria-label={`Show ${i + 1} of ${slides.length}`}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MascotCarousel;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+// One size of a mascot's image set (thumbnail, medium or full), as WebP for
+// browsers that support it
+const MascotImage = ({ image, size, alt, className }) => {
+  if (!image) return null;
+
+  return (
+    <picture className="mascot-picture">
+      {image.webp && <source srcSet={image.webp[size]} type="image/webp" />}
+      <img src={image[size]} alt={alt} className={className} loading="lazy" />
+    </picture>
+  );
+};
+
+export default MascotImage;
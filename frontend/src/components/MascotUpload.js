@@ -1,19 +1,91 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import api from '../config/api';
+import MascotImage from './MascotImage';
 
-const MascotUpload = ({ onSuccess }) => {
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_ALTERNATE_IMAGES = 3;
+const STILL_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+
+// Readable messages for the codes the server rejects images with
+const IMAGE_ERROR_MESSAGES = {
+  UNSUPPORTED_IMAGE_TYPE: ({ field }) => (field === 'animation'
+    ? 'The animation must be an animated GIF. Renaming a file does not change its type.'
+    : 'Mascot images must be JPEG or PNG files. Renaming a file does not change its type.'),
+  CORRUPT_IMAGE: () => 'That image could not be read. It may be damaged; try saving or exporting it again.',
+  IMAGE_TOO_SMALL: ({ width, height, minDimension }) =>
+    `That image is ${width}×${height} pixels. Images must be at least ${minDimension}×${minDimension} pixels.`,
+  IMAGE_TOO_LARGE: ({ width, height, maxDimension }) =>
+    `That image is ${width}×${height} pixels. Images can be at most ${maxDimension}×${maxDimension} pixels.`,
+  TOO_MANY_FRAMES: ({ frames, maxFrames }) =>
+    `That animation has ${frames} frames. Animations can have at most ${maxFrames} frames.`,
+  NOT_ANIMATED: () => 'That GIF has a single frame. Use the main image or other views for still images.',
+  TOO_MANY_IMAGES: ({ maxAlternateImages }) => `A mascot can have at most ${maxAlternateImages} other views.`,
+  FILE_TOO_LARGE: ({ maxFileSize }) =>
+    `That file is too large. The maximum size is ${Math.round(maxFileSize / (1024 * 1024))}MB.`
+};
+
+// Image problems are explained by their code; anything else as the server put it
+const getErrorMessage = (err, fallback) => {
+  const data = err.response?.data;
+  if (data?.code && IMAGE_ERROR_MESSAGES[data.code]) {
+    return IMAGE_ERROR_MESSAGES[data.code](data);
+  }
+  return data?.error || data?.errors?.[0]?.msg || fallback;
+};
+
+// Why a chosen file can't be uploaded, or null if it can
+const getFileError = (file, allowedTypes, formats) => {
+  if (file.size > MAX_FILE_SIZE) {
+    return 'Image size must be less than 5MB';
+  }
+  if (!allowedTypes.includes(file.type)) {
+    return `Please select a valid image file (${formats})`;
+  }
+  return null;
+};
+
+// Pass `mascot` to edit an existing submission instead of creating one.
+// New submissions can be saved as a draft on the server and finished later.
+const MascotUpload = ({ contest, mascot, onSuccess, onCancel }) => {
+  const isEditing = !!mascot;
   const [formData, setFormData] = useState({
-    name: '',
-    description: ''
+    name: mascot?.name || '',
+    description: mascot?.description || ''
   });
   const [image, setImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
+  const [imagePreview, setImagePreview] = useState(mascot?.imageUrl?.medium || null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [showConfirmModal, setShowConfirmModal] = useState(false);
+  const [savedDraft, setSavedDraft] = useState(null);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [animation, setAnimation] = useState(null);
+  const [alternateImages, setAlternateImages] = useState([]);
+  const [removeAnimation, setRemoveAnimation] = useState(false);
+  const [removedAlternates, setRemovedAlternates] = useState([]);
+  const [editingRejected, setEditingRejected] = useState(false);
   const { user, refreshUser } = useAuth();
 
+  const submittedMascot = user?.mascots?.find(m => m.contestId === contest.id && m.status === 'submitted');
+  const draft = user?.mascots?.find(m => m.contestId === contest.id && m.status === 'draft');
+
+  // Images already on the server, kept unless the user removes them
+  const saved = isEditing ? mascot : savedDraft;
+  const savedAnimation = !removeAnimation ? saved?.animationUrl : null;
+  const keptAlternates = (saved?.alternateImageUrls || [])
+    .map((imageSet, position) => ({ imageSet, position }))
+    .filter(({ position }) => !removedAlternates.includes(position));
+
+  // Pick up a draft saved earlier, e.g. before a page reload
+  useEffect(() => {
+    if (isEditing || !draft || draft.id === savedDraft?.id) return;
+
+    setSavedDraft(draft);
+    setFormData({ name: draft.name || '', description: draft.description || '' });
+    setImagePreview(draft.imageUrl?.medium || null);
+  }, [isEditing, draft, savedDraft]);
+
   const handleInputChange = (e) => {
     setFormData({
       ...formData,
@@ -24,14 +96,9 @@ const MascotUpload = ({ onSuccess }) => {
   const handleImageChange = (e) => {
     const file = e.target.files[0];
     if (file) {
-      if (file.size > 5 * 1024 * 1024) { // 5MB limit
-        setError('Image size must be less than 5MB');
-        return;
-      }
-      
-      const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-      if (!allowedTypes.includes(file.type)) {
-        setError('Please select a valid image file (JPEG, PNG, GIF, or WebP)');
+      const fileError = getFileError(file, STILL_TYPES, 'JPEG or PNG');
+      if (fileError) {
+        setError(fileError);
         return;
       }
 
@@ -47,51 +114,201 @@ const MascotUpload = ({ onSuccess }) => {
     }
   };
 
+  const handleAnimationChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      const fileError = getFileError(file, ['image/gif'], 'animated GIF');
+      if (fileError) {
+        setError(fileError);
+        return;
+      }
+
+      setAnimation(file);
+      setError('');
+    }
+  };
+
+  const handleAlternateImagesChange = (e) => {
+    const files = [...e.target.files];
+    const fileError = files.map(file => getFileError(file, STILL_TYPES, 'JPEG or PNG')).find(Boolean);
+    if (fileError) {
+      setError(fileError);
+      return;
+    }
+    if (keptAlternates.length + files.length > MAX_ALTERNATE_IMAGES) {
+      setError(`A mascot can have at most ${MAX_ALTERNATE_IMAGES} other views`);
+      return;
+    }
+
+    setAlternateImages(files);
+    setError('');
+  };
+
+  // Adds the newly chosen files to a request
+  const appendImages = (data) => {
+    if (image) {
+      data.append('image', image);
+    }
+    if (animation) {
+      data.append('animation', animation);
+    }
+    alternateImages.forEach(file => data.append('alternateImages', file));
+  };
+
+  // Forgets the image changes once the server has them
+  const clearImageChanges = () => {
+    setImage(null);
+    setAnimation(null);
+    setAlternateImages([]);
+    setRemoveAnimation(false);
+    setRemovedAlternates([]);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+
+    // The terms were already accepted with the original submission
+    if (isEditing) {
+      handleSaveChanges();
+      return;
+    }
     
     // Show confirmation modal instead of submitting directly
     setShowConfirmModal(true);
   };
 
-  const handleConfirmSubmit = async () => {
+  // Form data with only the fields that differ from `saved`, or null if nothing changed
+  const buildChanges = (saved) => {
+    const changes = new FormData();
+    ['name', 'description'].forEach(field => {
+      if (formData[field] !== (saved[field] || '')) {
+        changes.append(field, formData[field]);
+      }
+    });
+    appendImages(changes);
+    if (removeAnimation && saved.animationUrl) {
+      changes.append('removeAnimation', 'true');
+    }
+    removedAlternates.forEach(position => changes.append('removeAlternateImages', position));
+    return [...changes.keys()].length > 0 ? changes : null;
+  };
+
+  const handleSaveChanges = async () => {
     setLoading(true);
-    setError('');
-    setShowConfirmModal(false);
 
-    const submitData = new FormData();
-    submitData.append('name', formData.name);
-    submitData.append('description', formData.description);
-    if (image) {
-      submitData.append('image', image);
-    }
+    // Only send what changed
+    const submitData = buildChanges(mascot) || new FormData();
 
     try {
-      const response = await api.post('/api/mascots', submitData, {
+      const response = await api.patch(`/api/contests/${contest.id}/mascots/${mascot.id}`, submitData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+
+      refreshUser();
+
+      if (onSuccess) {
+        onSuccess(response.data.mascot);
+      }
+
+      alert('Mascot updated! A moderator will review the changes before they appear in the gallery.');
+    } catch (err) {
+      console.error('Update error:', err);
+      setError(getErrorMessage(err, 'Failed to update mascot'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Creates the draft, or sends what changed since it was last saved
+  const saveDraft = async () => {
+    let response;
+    if (savedDraft) {
+      const changes = buildChanges(savedDraft);
+      if (!changes) return savedDraft;
+      response = await api.patch(`/api/contests/${contest.id}/mascots/${savedDraft.id}`, changes, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+    } else {
+      const draftData = new FormData();
+      draftData.append('status', 'draft');
+      draftData.append('name', formData.name);
+      draftData.append('description', formData.description);
+      appendImages(draftData);
+      response = await api.post(`/api/contests/${contest.id}/mascots`, draftData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
       });
+    }
+
+    setSavedDraft(response.data.mascot);
+    clearImageChanges();
+    setDraftSavedAt(new Date());
+    return response.data.mascot;
+  };
+
+  const handleSaveDraft = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      await saveDraft();
+      refreshUser();
+    } catch (err) {
+      console.error('Draft error:', err);
+      setError(getErrorMessage(err, 'Failed to save draft'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Accepting the terms submits the mascot: a saved draft gets its last
+  // changes and is then submitted, anything else is submitted in one go
+  const handleConfirmSubmit = async () => {
+    setLoading(true);
+    setError('');
+    setShowConfirmModal(false);
 
-      if (response.status === 201) {
-        // Reset form
-        setFormData({ name: '', description: '' });
-        setImage(null);
-        setImagePreview(null);
-        
-        // Refresh user data to reflect they now have a mascot
-        refreshUser();
-        
-        if (onSuccess) {
-          onSuccess(response.data.mascot);
-        }
-        
-        alert('Mascot uploaded successfully!');
+    try {
+      let response;
+      if (savedDraft) {
+        const submittedDraft = await saveDraft();
+        response = await api.post(`/api/contests/${contest.id}/mascots/${submittedDraft.id}/submit`, { acceptTerms: true });
+      } else {
+        const submitData = new FormData();
+        submitData.append('name', formData.name);
+        submitData.append('description', formData.description);
+        submitData.append('acceptTerms', 'true');
+        appendImages(submitData);
+        response = await api.post(`/api/contests/${contest.id}/mascots`, submitData, {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+        });
       }
+
+      // Reset form
+      setFormData({ name: '', description: '' });
+      clearImageChanges();
+      setImagePreview(null);
+      setSavedDraft(null);
+      setDraftSavedAt(null);
+
+      // Refresh user data to reflect they now have a mascot
+      refreshUser();
+
+      if (onSuccess) {
+        onSuccess(response.data.mascot);
+      }
+
+      alert('Mascot submitted! It will appear in the gallery once a moderator approves it.');
     } catch (err) {
       console.error('Upload error:', err);
-      setError(err.response?.data?.error || 'Failed to upload mascot');
+      setError(getErrorMessage(err, 'Failed to upload mascot'));
     } finally {
       setLoading(false);
     }
@@ -101,12 +318,52 @@ const MascotUpload = ({ onSuccess }) => {
     setShowConfirmModal(false);
   };
 
-  if (user?.hasMascot) {
+  // Editing a rejected submission sends it for review again
+  if (submittedMascot && !isEditing && editingRejected) {
+    return (
+      <MascotUpload
+        contest={contest}
+        mascot={submittedMascot}
+        onSuccess={() => setEditingRejected(false)}
+        onCancel={() => setEditingRejected(false)}
+      />
+    );
+  }
+
+  if (submittedMascot && !isEditing) {
+    if (submittedMascot.moderationStatus === 'pending') {
+      return (
+        <div className="upload-section">
+          <div className="info-message pending">
+            <h3>⏳ Your Mascot is Awaiting Review</h3>
+            <p>You've submitted your mascot: <strong>{submittedMascot.name}</strong></p>
+            <p>A moderator will check it against the contest rules before it appears in the gallery.</p>
+          </div>
+        </div>
+      );
+    }
+
+    if (submittedMascot.moderationStatus === 'rejected') {
+      return (
+        <div className="upload-section">
+          <div className="info-message rejected">
+            <h3>Your Mascot Was Not Approved</h3>
+            <p>A moderator did not approve <strong>{submittedMascot.name}</strong>:</p>
+            <p className="rejection-reason">{submittedMascot.rejectionReason}</p>
+            <p>Edit your mascot to send it for review again.</p>
+            <button type="button" className="edit-mascot-button" onClick={() => setEditingRejected(true)}>
+              ✏️ Edit My Mascot
+            </button>
+          </div>
+        </div>
+      );
+    }
+
     return (
       <div className="upload-section">
         <div className="info-message">
           <h3>✅ Your Mascot is Submitted!</h3>
-          <p>You've already submitted your mascot: <strong>{user.mascot?.name}</strong></p>
+          <p>You've already submitted your mascot: <strong>{submittedMascot.name}</strong></p>
           <p>Each user can only submit one mascot per contest.</p>
         </div>
       </div>
@@ -115,7 +372,7 @@ const MascotUpload = ({ onSuccess }) => {
 
   return (
     <div className="upload-section">
-      <h3>Submit Your Mascot</h3>
+      <h3>{isEditing ? 'Edit Your Mascot' : 'Submit Your Mascot'}</h3>
       <form onSubmit={handleSubmit} className="upload-form">
         <div className="form-group">
           <label htmlFor="name">Mascot Name *</label>
@@ -151,11 +408,69 @@ const MascotUpload = ({ onSuccess }) => {
           <input
             type="file"
             id="image"
-            accept="image/*"
+            accept="image/jpeg,image/png"
             onChange={handleImageChange}
             className="file-input"
           />
-          <small>Optional. Max size: 5MB. Supported formats: JPEG, PNG, GIF, WebP</small>
+          <small>
+            {isEditing ? 'Leave empty to keep the current image. ' : 'Optional. '}
+            Max size: 5MB. Supported formats: JPEG, PNG
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="animation">Animation</label>
+          {savedAnimation && (
+            <div className="extra-images">
+              <div className="extra-image">
+                <MascotImage image={savedAnimation} size="thumbnail" alt="Current animation" />
+                <button type="button" className="extra-image-remove" onClick={() => setRemoveAnimation(true)} title="Remove animation">
+                  ×
+                </button>
+              </div>
+            </div>
+          )}
+          <input
+            type="file"
+            id="animation"
+            accept="image/gif"
+            onChange={handleAnimationChange}
+            className="file-input"
+          />
+          <small>
+            Optional. An animated GIF to show your mascot moving
+            {savedAnimation ? '; a new one replaces the current one' : ''}
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="alternateImages">Other Views</label>
+          {keptAlternates.length > 0 && (
+            <div className="extra-images">
+              {keptAlternates.map(({ imageSet, position }) => (
+                <div key={position} className="extra-image">
+                  <MascotImage image={imageSet} size="thumbnail" alt={`View ${position + 2}`} />
+                  <button
+                    type="button"
+                    className="extra-image-remove"
+                    onClick={() => setRemovedAlternates(prev => [...prev, position])}
+                    title="Remove this view"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          <input
+            type="file"
+            id="alternateImages"
+            accept="image/jpeg,image/png"
+            multiple
+            onChange={handleAlternateImagesChange}
+            className="file-input"
+          />
+          <small>Optional. Up to {MAX_ALTERNATE_IMAGES} more JPEG or PNG images, e.g. your mascot from the side or back</small>
         </div>
 
         {imagePreview && (
@@ -172,8 +487,29 @@ const MascotUpload = ({ onSuccess }) => {
           className="submit-button"
           disabled={loading || !formData.name || !formData.description}
         >
-          {loading ? 'Uploading...' : 'Submit Mascot'}
+          {loading
+            ? (isEditing ? 'Saving...' : 'Uploading...')
+            : (isEditing ? 'Save Changes' : 'Submit Mascot')}
         </button>
+
+        {!isEditing && (
+          <button type="button" className="cancel-button draft-button" onClick={handleSaveDraft} disabled={loading}>
+            {savedDraft ? 'Update Draft' : 'Save Draft'}
+          </button>
+        )}
+
+        {draftSavedAt && (
+          <small className="draft-status">Draft saved at {draftSavedAt.toLocaleTimeString()}</small>
+        )}
+        {!draftSavedAt && savedDraft && (
+          <small className="draft-status">Continuing your saved draft</small>
+        )}
+
+        {isEditing && onCancel && (
+          <button type="button" className="cancel-button edit-cancel-button" onClick={onCancel} disabled={loading}>
+            Cancel
+          </button>
+        )}
       </form>
 
       {/* Custom Terms and Conditions Modal */}
@@ -240,6 +576,16 @@ const MascotUpload = ({ onSuccess }) => {
                     </div>
                   </div>
                 )}
+                {(animation || savedAnimation) && (
+                  <div className="summary-item">
+                    <strong>Animation:</strong> Included
+                  </div>
+                )}
+                {keptAlternates.length + alternateImages.length > 0 && (
+                  <div className="summary-item">
+                    <strong>Other views:</strong> {keptAlternates.length + alternateImages.length}
+                  </div>
+                )}
               </div>
 
               <div className="confirmation-actions">
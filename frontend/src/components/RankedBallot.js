@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import api from '../config/api';
+import MascotImage from './MascotImage';
+
+// Ballot for ranked-choice contests: voters drag mascots into their order of
+// preference instead of voting for each one separately
+const RankedBallot = ({ contest, votingBlockReason }) => {
+  const [mascots, setMascots] = useState([]);
+  const [candidatesLoaded, setCandidatesLoaded] = useState(false);
+  const [ranking, setRanking] = useState([]);
+  const [hasBallot, setHasBallot] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const { user, isAuthenticated } = useAuth();
+
+  // The gallery is paged, but a ballot can rank any mascot in the round
+  useEffect(() => {
+    const fetchCandidates = async () => {
+      setCandidatesLoaded(false);
+      try {
+        const candidates = [];
+        let hasMore = true;
+        while (hasMore) {
+          const response = await api.get(`/api/contests/${contest.id}/mascots`, {
+            params: { sort: 'oldest', limit: 100, offset: candidates.length }
+          });
+          candidates.push(...response.data.mascots);
+          hasMore = response.data.hasMore;
+        }
+        setMascots(candidates);
+        setCandidatesLoaded(true);
+      } catch (err) {
+        console.error('Error fetching mascots for the ballot:', err);
+      }
+    };
+
+    fetchCandidates();
+  }, [contest.id, contest.round]);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setRanking([]);
+      setHasBallot(false);
+      return;
+    }
+
+    const fetchBallot = async () => {
+      try {
+        const response = await api.get('/api/user/ballot', { params: { contestId: contest.id } });
+        setRanking(response.data.ballot?.ranking || []);
+        setHasBallot(!!response.data.ballot);
+      } catch (err) {
+        console.error('Error fetching ballot:', err);
+      }
+    };
+
+    fetchBallot();
+  }, [contest.id, isAuthenticated]);
+
+  const ownMascotId = user?.mascots?.find(mascot => mascot.contestId === contest.id && mascot.status === 'submitted')?.id;
+  const rankable = mascots.filter(mascot => mascot.id !== ownMascotId);
+  const ranked = ranking.map(id => rankable.find(mascot => mascot.id === id)).filter(Boolean);
+  const unranked = rankable.filter(mascot => !ranking.includes(mascot.id));
+  const locked = !isAuthenticated || !!votingBlockReason || saving;
+
+  // A saved ballot can rank mascots that have since been deleted, hidden or
+  // knocked out. They are not shown, and the server would reject the whole
+  // ballot for them, so they are dropped once the candidates are known.
+  useEffect(() => {
+    if (!candidatesLoaded) {
+      return;
+    }
+    setRanking(prev => {
+      const kept = prev.filter(id => id !== ownMascotId && mascots.some(mascot => mascot.id === id));
+      return kept.length === prev.length ? prev : kept;
+    });
+  }, [candidatesLoaded, mascots, ownMascotId, ranking]);
+
+  // Puts a mascot at `position` in the ranking, adding it if it was unranked
+  const moveTo = (mascotId, position) => {
+    setError('');
+    const from = ranking.indexOf(mascotId);
+
+    if (from === -1 && contest.voteBudget !== null && ranking.length >= contest.voteBudget) {
+      setError(`You can rank at most ${contest.voteBudget} mascots`);
+      return;
+    }
+
+    const target = from !== -1 && from < position ? position - 1 : position;
+    const next = ranking.filter(id => id !== mascotId);
+    next.splice(target, 0, mascotId);
+    setRanking(next);
+  };
+
+  const removeFromRanking = (mascotId) => {
+    setError('');
+    setRanking(prev => prev.filter(id => id !== mascotId));
+  };
+
+  const handleDragOver = (e) => {
+    if (!locked) {
+      e.preventDefault();
+    }
+  };
+
+  const handleDropOnRank = (e, position) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (draggedId) {
+      moveTo(draggedId, position);
+    }
+    setDraggedId(null);
+  };
+
+  const handleDropOnUnranked = (e) => {
+    e.preventDefault();
+    if (draggedId) {
+      removeFromRanking(draggedId);
+    }
+    setDraggedId(null);
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await api.put(`/api/contests/${contest.id}/ballot`, { ranking });
+      setRanking(response.data.ballot.ranking);
+      setHasBallot(true);
+      alert('Your ballot has been saved!');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save your ballot. Please try again.');
+      console.error('Error saving ballot:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    if (!window.confirm('Withdraw your ballot? Your ranking will no longer count.')) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await api.delete(`/api/contests/${contest.id}/ballot`);
+      setRanking([]);
+      setHasBallot(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to withdraw your ballot. Please try again.');
+      console.error('Error withdrawing ballot:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (mascots.length === 0) return null;
+
+  const renderEntry = (mascot, actions) => (
+    <>
+      <MascotImage image={mascot.imageUrl} size="thumbnail" alt="" className="ballot-thumbnail" />
+      <span className="ballot-name">{mascot.name}</span>
+      {!locked && actions}
+    </>
+  );
+
+  return (
+    <div className="ranked-ballot">
+      <div className="ranked-ballot-header">
+        <h3>Your Ballot</h3>
+        <p>
+          Drag mascots into your order of preference. If your first choice is eliminated,
+          your vote moves to your next choice.
+          {contest.voteBudget !== null && ` You can rank up to ${contest.voteBudget}.`}
+        </p>
+        {!isAuthenticated && <small className="disabled-reason">Log in to submit a ballot</small>}
+        {votingBlockReason && <small className="disabled-reason">{votingBlockReason}</small>}
+      </div>
+
+      <div className="ballot-columns">
+        <div className="ballot-column" onDragOver={handleDragOver} onDrop={(e) => handleDropOnRank(e, ranking.length)}>
+          <h4>Ranked</h4>
+          {ranked.length === 0 ? (
+            <p className="ballot-empty">Drop mascots here to rank them</p>
+          ) : (
+            <ol className="ballot-list">
+              {ranked.map((mascot, index) => (
+                <li
+                  key={mascot.id}
+                  className={`ballot-entry ${draggedId === mascot.id ? 'dragging' : ''}`}
+                  draggable={!locked}
+                  onDragStart={() => setDraggedId(mascot.id)}
+                  onDragEnd={() => setDraggedId(null)}
+                  onDragOver={handleDragOver}
+                  onDrop={(e) => handleDropOnRank(e, index)}
+                >
+                  <span className="ballot-rank">{index + 1}</span>
+                  {renderEntry(mascot, (
+                    <button className="ballot-action" onClick={() => removeFromRanking(mascot.id)} title="Remove from ranking">
+                      ×
+                    </button>
+                  ))}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div className="ballot-column" onDragOver={handleDragOver} onDrop={handleDropOnUnranked}>
+          <h4>Not ranked</h4>
+          {unranked.length === 0 ? (
+            <p className="ballot-empty">Every mascot is ranked</p>
+          ) : (
+            <ul className="ballot-list">
+              {unranked.map(mascot => (
+                <li
+                  key={mascot.id}
+                  className={`ballot-entry ${draggedId === mascot.id ? 'dragging' : ''}`}
+                  draggable={!locked}
+                  onDragStart={() => setDraggedId(mascot.id)}
+                  onDragEnd={() => setDraggedId(null)}
+                >
+                  {renderEntry(mascot, (
+                    <button className="ballot-action" onClick={() => moveTo(mascot.id, ranking.length)} title="Add to ranking">
+                      +
+                    </button>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isAuthenticated && (
+        <div className="ballot-actions">
+          {hasBallot && (
+            <button className="vote-button voted" onClick={handleWithdraw} disabled={locked}>
+              Withdraw Ballot
+            </button>
+          )}
+          <button className="vote-button" onClick={handleSubmit} disabled={locked || ranking.length === 0}>
+            {saving ? 'Saving...' : hasBallot ? 'Update Ballot' : 'Submit Ballot'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RankedBallot;
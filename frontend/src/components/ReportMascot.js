@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import api from '../config/api';
+
+// What users can report an entry for, as the server expects them
+const REPORT_REASONS = [
+  { value: 'copied', label: 'Copies an existing character or design' },
+  { value: 'offensive', label: 'Offensive content' },
+  { value: 'political', label: 'Political content' },
+  { value: 'religious', label: 'Religious content' },
+  { value: 'violent', label: 'Violent content' },
+  { value: 'other', label: 'Something else' }
+];
+
+// "Report" action for someone else's mascot, telling the moderators what
+// breaks the contest rules
+const ReportMascot = ({ mascot }) => {
+  const [formOpen, setFormOpen] = useState(false);
+  const [reason, setReason] = useState(REPORT_REASONS[0].value);
+  const [details, setDetails] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError('');
+    try {
+      await api.post(`/api/mascots/${mascot.id}/reports`, { reason, details });
+      setSent(true);
+      setFormOpen(false);
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.error || data?.errors?.[0]?.msg || 'Failed to send your report. Please try again.');
+      console.error('Error reporting mascot:', err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (sent) {
+    return <small className="report-sent">Thanks for your report. The moderators will take a look.</small>;
+  }
+
+  if (!formOpen) {
+    return (
+      <button className="report-mascot-button" onClick={() => setFormOpen(true)}>
+        🚩 Report
+      </button>
+    );
+  }
+
+  return (
+    <form className="report-form" onSubmit={handleSubmit}>
+      <div className="form-group">
+        <label htmlFor="report-reason">What is wrong with this mascot?</label>
+        <select id="report-reason" value={reason} onChange={(e) => setReason(e.target.value)}>
+          {REPORT_REASONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="report-details">Details{reason === 'other' ? ' *' : ''}</label>
+        <textarea
+          id="report-details"
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          required={reason === 'other'}
+          placeholder="e.g. which character it copies"
+          maxLength={1000}
+          rows={3}
+        />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="confirmation-actions">
+        <button type="button" className="cancel-button" onClick={() => setFormOpen(false)} disabled={sending}>
+          Cancel
+        </button>
+        <button type="submit" className="confirm-button" disabled={sending}>
+          {sending ? 'Sending...' : 'Send Report'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReportMascot;